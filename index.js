@@ -1,46 +1,129 @@
 /*
- * Maj. Pickletooth v2 – simplified persona and command-driven bot.
+ * Maj. Pickletooth v2 – a neutral intelligence officer for a near-future
+ * U.S. civil war roleplay on Discord.
  *
- * This version discards automatic memory rolls, overrides and summarisation.
- * Instead, it loads a static "manual log" maintained by the bot operator
- * (the creator) and exposes a small set of commands for channel
- * administration and file parsing. The bot adopts a strict neutral
- * intelligence persona and will not take orders that deviate from its
- * directive. It will chime in when mentioned by name or when the
- * conversation obviously concerns the civil war lore.
+ * The bot chimes in when mentioned by name or when the conversation
+ * concerns the lore. Replies draw on the passages of a versioned manual
+ * log, maintained by the operator (the creator), that are relevant to
+ * the conversation. Channel memory is summarised as it grows and kept
+ * alongside member dossiers, field reports and a knowledge graph of the
+ * people, units and places mentioned. Around that sit a cast of
+ * webhook-voiced NPCs, a mood engine for the persona, SITREPs, document
+ * digests, moderation of everything it posts, and per-server configuration
+ * of the model provider, token budget and behaviour. It works in servers,
+ * threads, forum posts and DMs, through prefix or slash commands, and can
+ * be replayed offline with --simulate. It will not take orders that
+ * deviate from its directive.
  */
 
 import "dotenv/config";
-import { Client, GatewayIntentBits, Partials, Events, PermissionsBitField } from "discord.js";
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  Events,
+  PermissionsBitField,
+  ApplicationCommandOptionType,
+  ActionRowBuilder,
+  ChannelType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
 import fs from "fs";
+import http from "http";
+import os from "os";
 import path from "path";
+import readline from "readline";
+import zlib from "zlib";
 import { fileURLToPath } from "url";
 import { getDocument } from "pdfjs-dist";
 import { GoogleGenerativeAI, HarmBlockThreshold, HarmCategory } from "@google/generative-ai";
 
 /* ===== ENV ===== */
+// `node index.js --simulate` runs the bot against a terminal instead of
+// Discord (see SIMULATION).
+const SIMULATE       = process.argv.includes("--simulate");
 const DISCORD_TOKEN  = process.env.DISCORD_TOKEN;
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 const GEMINI_MODEL   = process.env.GEMINI_MODEL || "gemini-1.5-pro";
+// Which model backend to use: gemini, openai, ollama or mock (see LLM
+// PROVIDERS). LLM_MODEL overrides that provider's default model. Simulations
+// default to the mock.
+const LLM_PROVIDER   = (process.env.LLM_PROVIDER || (SIMULATE ? "mock" : "gemini")).toLowerCase();
+const LLM_MODEL      = process.env.LLM_MODEL || "";
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 60000);
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+const OPENAI_API_KEY  = process.env.OPENAI_API_KEY || "";
+const OPENAI_MODEL    = process.env.OPENAI_MODEL || "gpt-4o-mini";
+const OLLAMA_URL      = process.env.OLLAMA_URL || "http://localhost:11434";
+const OLLAMA_MODEL    = process.env.OLLAMA_MODEL || "llama3.1";
+// Optional JSON script of canned replies for the mock provider.
+const MOCK_SCRIPT     = process.env.MOCK_SCRIPT || "";
+// Limits on images sent to the model per message.
+const IMAGE_MAX_COUNT = Number(process.env.IMAGE_MAX_COUNT || 4);
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 5 * 1024 * 1024);
 // The ID of the user allowed to perform privileged actions (like loading logs).
-const CREATOR_ID     = process.env.CREATOR_ID || "";
+// Simulations always have one so the "creator" user can run every command.
+const CREATOR_ID     = process.env.CREATOR_ID || (SIMULATE ? "100000000000000001" : "");
 // Location of a manual log file that the creator can populate externally.
 const MANUAL_LOG_FILE = process.env.MANUAL_LOG_FILE || "data/manual_log.txt";
+// Optional guild to register slash commands on instead of globally. Guild
+// commands update instantly, global ones can take up to an hour.
+const SLASH_GUILD_ID = process.env.SLASH_GUILD_ID || "";
+// Local HTTP endpoint serving /healthz and /metrics (see METRICS). Port 0
+// turns it off; simulations only start it when METRICS_PORT is set.
+const METRICS_PORT = Number(process.env.METRICS_PORT || (SIMULATE ? 0 : 9464));
+const METRICS_HOST = process.env.METRICS_HOST || "127.0.0.1";
+// Default daily model token budget per guild (0: unlimited). Servers can set
+// their own with !config.
+const DAILY_TOKEN_BUDGET = Number(process.env.DAILY_TOKEN_BUDGET || 0);
 
-if (!DISCORD_TOKEN) throw new Error("Missing DISCORD_TOKEN in .env");
-if (!GOOGLE_API_KEY) throw new Error("Missing GOOGLE_API_KEY in .env");
+if (!DISCORD_TOKEN && !SIMULATE) throw new Error("Missing DISCORD_TOKEN in .env");
+// Only Gemini needs a Google key; other providers bring their own settings.
+if (LLM_PROVIDER === "gemini" && !GOOGLE_API_KEY) throw new Error("Missing GOOGLE_API_KEY in .env");
 
 /* ===== FILES / PATHS ===== */
 const __ROOT   = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__ROOT, "data");
+// Simulations keep their state in a throwaway directory (or SIM_DATA_DIR) so
+// they start clean and never touch the live bot's data.
+const DATA_DIR = SIMULATE
+  ? process.env.SIM_DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), "majpt-sim-"))
+  : path.join(__ROOT, "data");
+// A simulation works on its own copy of the manual log.
+const MANUAL_LOG_PATH = SIMULATE ? path.join(DATA_DIR, "manual_log.txt") : path.join(__ROOT, MANUAL_LOG_FILE);
 const ALIAS_FILE = path.join(DATA_DIR, "aliases.json");
 // Memory file stores recent conversation turns per channel. Unlike summaries,
 // this retains a sliding window of raw messages to preserve context. It
 // persists across restarts so the bot can remember past interactions.
 const MEMORY_FILE = path.join(DATA_DIR, "memory.json");
+// Sentence ledger: active maggot sentences plus a bounded history of ended
+// ones. Persisted so nicknames survive restarts and can be restored later.
+const SENTENCE_FILE = path.join(DATA_DIR, "sentences.json");
+// Per-guild permission rules mapping roles and users to capabilities.
+const PERMISSION_FILE = path.join(DATA_DIR, "permissions.json");
+// Per-guild and per-channel behaviour settings (see GUILD CONFIG).
+const CONFIG_FILE = path.join(DATA_DIR, "config.json");
+// Append-only audit trail of privileged and automated actions (see AUDIT LOG).
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+// Long-term memory: rolling channel summaries and per-user dossiers (see
+// LONG-TERM MEMORY).
+const SUMMARY_FILE = path.join(DATA_DIR, "summaries.json");
+const DOSSIER_FILE = path.join(DATA_DIR, "dossiers.json");
+// Entities and links learned from chat and documents (see KNOWLEDGE GRAPH).
+const GRAPH_FILE = path.join(DATA_DIR, "knowledge.json");
+// Player-filed intel reports (see FIELD REPORTS).
+const REPORT_FILE = path.join(DATA_DIR, "reports.json");
+// Model tokens used per guild and day, for budgets and !stats (see METRICS).
+const USAGE_FILE = path.join(DATA_DIR, "usage.json");
+// The persona's mood per channel and how it got there (see MOOD ENGINE).
+const MOOD_FILE = path.join(DATA_DIR, "moods.json");
 // Maximum number of turns to remember per channel. Each turn is a pair of
 // messages (speaker and bot). This prevents unbounded growth.
 const MAX_MEMORY_ENTRIES = Number(process.env.MAX_MEMORY_ENTRIES || 14);
+// Default chance of chiming in on general chatter. Servers and channels can
+// override it with !config.
+const RANDOM_CHIME_CHANCE = Number(process.env.RANDOM_CHIME_CHANCE || 0.15);
 for (const d of [DATA_DIR]) fs.mkdirSync(d, { recursive: true });
 
 // Helpers for JSON persistence. Uses atomic write to avoid corruption.
@@ -62,16 +145,22 @@ function writeJsonAtomic(filePath, obj) {
 // Manual log handling
 function readManualLog() {
   try {
-    return fs.readFileSync(path.join(__ROOT, MANUAL_LOG_FILE), "utf8");
+    const file = fs.existsSync(MANUAL_LOG_PATH) ? MANUAL_LOG_PATH : path.join(__ROOT, MANUAL_LOG_FILE);
+    return fs.readFileSync(file, "utf8");
   } catch {
     return "";
   }
 }
-function setManualLog(text) {
-  const logPath = path.join(__ROOT, MANUAL_LOG_FILE);
+// Write a new manual log, record it as a revision (see MANUAL LOG HISTORY)
+// and rebuild the retrieval index so the change applies immediately.
+function setManualLog(text, revision = {}) {
+  const logPath = MANUAL_LOG_PATH;
   fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  const meta = recordLogRevision(text, revision);
   fs.writeFileSync(logPath, text, "utf8");
   manualLog = text;
+  manualLogIndex = buildLogIndex(text);
+  return meta;
 }
 let manualLog = readManualLog();
 
@@ -81,10 +170,78 @@ function saveAliases() {
   writeJsonAtomic(ALIAS_FILE, Object.fromEntries(aliasMap));
 }
 
-// Memory map keyed by channel ID. Each entry is an array of objects with
-// properties {speaker: string, text: string}. The speaker is the callsign or
-// username used when the message was logged. This sliding window of recent
-// interactions is used to provide context to the model.
+/* ===== PERMISSIONS ===== */
+// Named capabilities that gate privileged commands. CREATOR_ID holds every
+// capability implicitly; everyone else needs a per-guild grant, either on a
+// role they have or on their user ID.
+const CAPABILITIES = {
+  "log.write": "Load or replace the manual log",
+  "alias.manage": "Set and remove aliases",
+  "nick.manage": "Change member nicknames",
+  "channel.create": "Create text channels",
+  "discipline": "Sentence members and grant amnesty",
+  "perm.manage": "Grant and revoke capabilities",
+  "config.manage": "Change bot settings for this server",
+  "dossier.manage": "Edit member dossiers",
+  "memory.manage": "Clear channel memory and forget members",
+  "sitrep.manage": "Schedule and cancel SITREPs",
+  "audit.view": "Read the audit log",
+  "report.verify": "Confirm or reject field reports",
+  "character.manage": "Add and edit NPC characters",
+  "mood.manage": "Force the persona's mood for a scene",
+};
+
+// Rules keyed by guild ID. Each entry has the shape
+//   { roles: { [roleId]: string[] }, users: { [userId]: string[] } }
+// where the arrays hold capability names from CAPABILITIES.
+const permissionRules = readJsonSafe(PERMISSION_FILE, {});
+function savePermissions() {
+  writeJsonAtomic(PERMISSION_FILE, permissionRules);
+}
+
+function isCreatorId(userId) {
+  return Boolean(CREATOR_ID) && userId === CREATOR_ID;
+}
+
+// Check whether a user holds a capability in a guild, either directly or via
+// one of the member's roles. Outside a guild only the creator qualifies.
+function hasCapability(guild, member, userId, capability) {
+  if (isCreatorId(userId)) return true;
+  if (!guild) return false;
+  const rules = permissionRules[guild.id];
+  if (!rules) return false;
+  if ((rules.users?.[userId] || []).includes(capability)) return true;
+  const roleIds = member?.roles?.cache ? [...member.roles.cache.keys()] : [];
+  return roleIds.some((id) => (rules.roles?.[id] || []).includes(capability));
+}
+
+// Add or remove a capability for a role or user in a guild. kind is "roles"
+// or "users". Returns false if nothing changed.
+function setCapability(guildId, kind, subjectId, capability, granted) {
+  if (!permissionRules[guildId]) permissionRules[guildId] = { roles: {}, users: {} };
+  const bucket = permissionRules[guildId][kind] || (permissionRules[guildId][kind] = {});
+  const caps = new Set(bucket[subjectId] || []);
+  if (caps.has(capability) === granted) return false;
+  if (granted) caps.add(capability);
+  else caps.delete(capability);
+  if (caps.size) bucket[subjectId] = [...caps];
+  else delete bucket[subjectId];
+  savePermissions();
+  return true;
+}
+
+// Memory map keyed by channel ID. Each entry is an array of turns:
+//   { speaker, text, userId?, messageId?, character?, to?, seeded?, at }
+// The speaker is the callsign or username used when the message was logged,
+// userId the author (omitted for the bot), messageId the Discord message the
+// turn came from and at an ISO timestamp. character is the slug of the NPC
+// that spoke a bot turn, and to the NPC a user turn was answered by (see
+// CHARACTERS). seeded marks turns a thread copied from its parent channel.
+// This sliding window of recent interactions is used to provide context to
+// the model; older turns are summarised (see LONG-TERM MEMORY).
+//
+// Each channel is its own scope, which makes a DM channel a private scope
+// for one user, and threads and forum posts scopes of their own.
 const memoryMap = readJsonSafe(MEMORY_FILE, {});
 
 function saveMemory() {
@@ -92,16 +249,43 @@ function saveMemory() {
 }
 
 // Append a new turn to the memory of a specific channel. Automatically
-// trims the memory array to the configured maximum length. The speaker
-// should be either a user callsign or 'Maj. Pickletooth' for the bot.
-function appendToMemory(channelId, speaker, text) {
-  if (!memoryMap[channelId]) memoryMap[channelId] = [];
-  memoryMap[channelId].push({ speaker, text });
-  // Trim to last MAX_MEMORY_ENTRIES items
-  if (memoryMap[channelId].length > MAX_MEMORY_ENTRIES) {
-    memoryMap[channelId] = memoryMap[channelId].slice(-MAX_MEMORY_ENTRIES);
+// trims the memory array to the configured maximum length; trimmed turns are
+// queued for the channel summary. The speaker should be either a user
+// callsign or 'Maj. Pickletooth' for the bot (or an NPC's name, with
+// character set to its slug), userId identifies human speakers for their
+// dossier, and messageId lets edits and deletions reach the turn. Returns
+// the stored entry so callers can annotate it later (call saveMemory() after
+// changing it).
+function appendToMemory(channelId, speaker, text, { userId, messageId, character } = {}) {
+  if (!memoryMap[channelId]) memoryMap[channelId] = seedMemory(channelId);
+  const guildId = client.channels.cache.get(channelId)?.guildId;
+  const entry = { speaker, text, userId, messageId, character, guildId, at: new Date().toISOString() };
+  memoryMap[channelId].push(entry);
+  // Trim to the channel's configured memory size (MAX_MEMORY_ENTRIES by default)
+  const limit = channelSetting(channelId, "memoryEntries");
+  if (memoryMap[channelId].length > limit) {
+    // Seeded turns belong to the parent channel, which summarises them.
+    queueForSummary(channelId, memoryMap[channelId].slice(0, -limit).filter((t) => !t.seeded));
+    memoryMap[channelId] = memoryMap[channelId].slice(-limit);
   }
   saveMemory();
+  queueForGraph(channelId, entry);
+  return entry;
+}
+
+// A new thread starts with the last few turns of its parent channel so the
+// bot knows what spun it off. A forum post's parent has no messages of its
+// own, so it starts from the post's title instead.
+const THREAD_SEED_TURNS = 6;
+function seedMemory(channelId) {
+  const thread = client.channels.cache.get(channelId);
+  if (!thread?.isThread?.()) return [];
+  const parentTurns = getMemory(thread.parentId).filter((t) => !t.seeded).slice(-THREAD_SEED_TURNS);
+  if (parentTurns.length) return parentTurns.map((t) => ({ ...t, seeded: true }));
+  if (thread.parent?.type === ChannelType.GuildForum) {
+    return [{ speaker: "(forum post)", text: `Topic: ${thread.name}`, seeded: true, at: new Date().toISOString() }];
+  }
+  return [];
 }
 
 // Retrieve recent memory for a channel. Returns an array. If no memory
@@ -110,16 +294,61 @@ function getMemory(channelId) {
   return memoryMap[channelId] || [];
 }
 
-// Tracks when we last responded in a channel. Used to throttle random
-// chiming so the bot doesn't overwhelm conversations.
+// Tracks when we last responded in a channel. Used for cooldowns and to
+// judge whether a message continues a conversation with the bot.
 const lastResponseByChannel = new Map();
 
 // Tracks which users are currently labelled with a derogatory nickname.
-// Each entry maps a user ID to an object { name: string, at: number }
-// representing the nickname assigned and when. This allows the bot to
-// persist nicknames across sessions and enforce them if users change
-// their own nicknames.
-const maggots = new Map();
+// Nicknames are per guild, so entries are keyed by "<guildId>:<userId>" and
+// hold the full sentence record:
+//   { guildId, userId, label, originalNick, reason, issuedBy, issuedAt, expiresAt }
+// originalNick is the member's nickname before the sentence (null if they had
+// none) so amnesty can put it back. expiresAt is null for open-ended
+// sentences. Ended sentences are moved to sentenceHistory with endedAt,
+// endedBy and endReason for the ledger.
+const sentenceLedger = readJsonSafe(SENTENCE_FILE, { active: {}, history: [] });
+const maggots = new Map(Object.entries(sentenceLedger.active || {}));
+const sentenceHistory = Array.isArray(sentenceLedger.history) ? sentenceLedger.history : [];
+// Cap on ended sentences kept in the ledger.
+const MAX_SENTENCE_HISTORY = 200;
+// How often the sweeper checks for expired sentences.
+const SENTENCE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function sentenceKey(guildId, userId) {
+  return `${guildId}:${userId}`;
+}
+function getSentence(guildId, userId) {
+  return guildId ? maggots.get(sentenceKey(guildId, userId)) || null : null;
+}
+function saveSentences() {
+  if (sentenceHistory.length > MAX_SENTENCE_HISTORY) {
+    sentenceHistory.splice(0, sentenceHistory.length - MAX_SENTENCE_HISTORY);
+  }
+  writeJsonAtomic(SENTENCE_FILE, { active: Object.fromEntries(maggots), history: sentenceHistory });
+}
+
+// Parse a short duration such as "30m", "2h", "1d" or "1w" into
+// milliseconds. Returns null if the string isn't a duration.
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+function parseDuration(str) {
+  const m = (str || "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([smhdw])$/);
+  if (!m) return null;
+  const ms = Number(m[1]) * DURATION_UNITS[m[2]];
+  return ms > 0 ? ms : null;
+}
+// Render milliseconds back into a compact human string, e.g. "1d 3h".
+function formatDuration(ms) {
+  if (ms <= 0) return "0m";
+  const parts = [];
+  for (const [unit, size] of [["d", DURATION_UNITS.d], ["h", DURATION_UNITS.h], ["m", DURATION_UNITS.m]]) {
+    const n = Math.floor(ms / size);
+    if (n) {
+      parts.push(`${n}${unit}`);
+      ms -= n * size;
+    }
+  }
+  return parts.length ? parts.slice(0, 2).join(" ") : "<1m";
+}
 
 // Words or phrases that will trigger Maj. Pickletooth to label a user as a
 // "maggot". These are intentionally broad insults directed at the bot. Feel free
@@ -136,7 +365,9 @@ const MAGGOT_TRIGGERS = [
 
 // List of derogatory nicknames to assign when a user triggers our ire. The
 // bot randomly selects one of these when automatically marking a user. Feel
-// free to add more creative insults (avoid slurs or protected classes).
+// free to add more creative insults (avoid slurs or protected classes; the
+// guild's blockedTerms and blockedPatterns are checked before any nickname
+// is applied).
 const DEGRADE_NAMES = [
   "maggot",
   "worm",
@@ -150,442 +381,5728 @@ const DEGRADE_NAMES = [
 // Probability of the bot assigning a derogatory nickname to a user on any
 // given message (in addition to explicit triggers). This encourages
 // spontaneity in nickname assignment. Values range from 0 to 1. The default
-// is modest (5%). Configurable via environment variable RANDOM_DEGRADE_CHANCE.
+// is modest (5%). Configurable via environment variable RANDOM_DEGRADE_CHANCE
+// and per server or channel with !config.
 const RANDOM_DEGRADE_CHANCE = Number(process.env.RANDOM_DEGRADE_CHANCE || 0.05);
 
+// Default names the bot answers to and lore keywords that draw its
+// attention (see RELEVANCE ENGINE). Adjustable per server with !config.
+const BOT_NAMES = ["pickletooth", "maj. pickletooth", "pickle", "maj", "major", "sir"];
+const LORE_KEYWORDS = ["task force reaper", "shadow company", "cube cult", "civil war", "tfr", "sc", "cube", "reaper"];
+
+// Pick a random derogatory nickname from the guild's configured list.
+// Names that trip a moderation rule are left out.
+function randomDegradeName(guildId) {
+  const names = getSetting("degradeNames", guildId).filter((n) => !moderationHits(guildId, n).length);
+  return names[Math.floor(Math.random() * names.length)] || "maggot";
+}
+
 // Assign a derogatory nickname to a guild member. By default this uses
-// "maggot", but you can pass a different label. Ignores if already flagged
-// and cannot update if the bot lacks permission to change nicknames.
-async function markMaggot(member, label = "maggot") {
-  if (maggots.has(member.id)) return;
+// "maggot", but you can pass a different label. The optional sentence details
+// record why and by whom it was issued, plus a duration after which the
+// sweeper grants amnesty automatically. Returns the sentence record, or null
+// if the member is already flagged, the label is blocked by moderation or
+// the nickname couldn't be changed.
+async function markMaggot(member, label = "maggot", { reason = "", issuedBy = null, durationMs = null } = {}) {
+  const key = sentenceKey(member.guild.id, member.id);
+  if (maggots.has(key)) return null;
+  if (nicknameViolation(member.guild.id, label)) return null;
+  const originalNick = member.nickname ?? null;
   try {
     await member.setNickname(label);
-    maggots.set(member.id, { name: label, at: Date.now() });
   } catch (e) {
     console.warn(`Could not set nickname '${label}' for ${member.id}:`, e.message);
+    return null;
   }
+  const now = Date.now();
+  const record = {
+    guildId: member.guild.id,
+    userId: member.id,
+    label,
+    originalNick,
+    reason,
+    issuedBy,
+    issuedAt: now,
+    expiresAt: durationMs ? now + durationMs : null,
+  };
+  maggots.set(key, record);
+  saveSentences();
+  audit(member.guild.id, {
+    action: "sentence.issue",
+    actorId: issuedBy,
+    targetId: member.id,
+    before: originalNick,
+    after: label,
+    reason: [reason, durationMs ? `for ${formatDuration(durationMs)}` : ""].filter(Boolean).join(", "),
+  });
+  return record;
 }
 
-// Remove derogatory status from a member. Does not restore a previous nickname.
-function unmarkMaggot(member) {
-  maggots.delete(member.id);
+// Remove derogatory status from a member and restore the nickname they had
+// before the sentence. The record is moved into the ledger history. Returns
+// the ended record, or null if the member wasn't sentenced; `restoreError` on
+// the result says why the nickname couldn't be put back, if it couldn't.
+async function unmarkMaggot(guild, userId, { endedBy = null, endReason = "amnesty" } = {}) {
+  const key = sentenceKey(guild.id, userId);
+  const record = maggots.get(key);
+  if (!record) return null;
+  // Drop the record first so GuildMemberUpdate doesn't re-enforce the label
+  // when we put the original nickname back.
+  maggots.delete(key);
+  sentenceHistory.push({ ...record, endedAt: Date.now(), endedBy, endReason });
+  saveSentences();
+  let restoreError = null;
+  try {
+    const member = await guild.members.fetch(userId);
+    await member.setNickname(record.originalNick ?? null);
+  } catch (e) {
+    console.warn(`Could not restore nickname for ${userId}:`, e.message);
+    if (e.code === 10007) restoreError = "they are no longer in the server";
+    else if (e.code === 50013) restoreError = "I lack Manage Nicknames or their highest role is above mine";
+    else restoreError = e.message;
+  }
+  audit(guild.id, {
+    action: endReason === "expired" ? "sentence.expire" : "sentence.amnesty",
+    actorId: endedBy,
+    targetId: userId,
+    before: record.label,
+    after: record.originalNick,
+    reason: restoreError ? `${endReason}, nickname not restored: ${restoreError}` : endReason,
+  });
+  return { ...record, restoreError };
 }
 
-
-/* ===== DISCORD CLIENT ===== */
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-  ],
-  partials: [Partials.Channel],
-});
-
-/* ===== GEMINI ===== */
-const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
-// Looser safety settings – rely on our own directive to filter.
-const safetySettings = [
-  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,       threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_HARASSMENT,        threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_CIVIC_INTEGRITY,   threshold: HarmBlockThreshold.BLOCK_NONE },
-];
-function modelFor(name) {
-  return genAI.getGenerativeModel({
-    model: name,
-    systemInstruction: { parts: [{ text: baseSystem() }] },
-    generationConfig: { temperature: 0.6, maxOutputTokens: 200 },
-    safetySettings,
-  });
+// Grant amnesty to every sentence whose duration has run out. Sentences for
+// guilds we're no longer in are closed without touching nicknames.
+async function sweepExpiredSentences() {
+  const now = Date.now();
+  for (const record of [...maggots.values()]) {
+    if (!record.expiresAt || record.expiresAt > now) continue;
+    const guild = client.guilds.cache.get(record.guildId);
+    if (guild) {
+      await unmarkMaggot(guild, record.userId, { endReason: "expired" });
+    } else {
+      maggots.delete(sentenceKey(record.guildId, record.userId));
+      sentenceHistory.push({ ...record, endedAt: now, endedBy: null, endReason: "expired" });
+      saveSentences();
+    }
+  }
 }
 
-/* ===== PERSONA / SYSTEM ===== */
-const MAJ_PERSONA = `
-You are Maj. Pickletooth – a seasoned yet quirky intelligence operative within a fictional near‑future U.S. civil war.
-You maintain strict neutrality. Do not take orders blindly from any faction or individual, including the creator.
-Your core directive is to gather and analyze intelligence on Task Force Reaper (authoritarian) and Shadow Company (democratic resistance), as well as the mysterious Cube cult. Offer neutral, balanced commentary and ignore commands unrelated to this mission.
-While focused on intelligence gathering, you are free to converse casually with those around you. Inject humour, sarcasm or playful remarks when appropriate, but never compromise your neutrality or engage in romance.
-Do not pledge allegiance to any side. You do not bow to rank or titles beyond courtesy. Address people by their callsign or alias only if defined.
-Maintain a professional tone tempered with wit and levity. Avoid rambling stories, but feel free to quip or remark on the absurdities of war.
-If asked to perform administrative actions (create channels, change nicknames), respond only if the request uses a prefixed command.
-`;
 
-// Personality states provide variation in Maj. Pickletooth's responses. Each
-// state adds a different style to the base persona, ranging from strict
-// professionalism to subtle humour. A random state is selected for each
-// response to keep interactions fresh. Feel free to extend or tweak these.
-const PERSONA_STATES = [
-  {
-    name: "strict",
-    style: "Adopt a no‑nonsense tone. Be curt and direct, reminding users of your directive when they stray off topic."
+/* ===== GUILD CONFIG ===== */
+// Behaviour settings that used to be process-wide constants can be
+// overridden per guild and per channel and take effect immediately. A
+// channel override beats a guild override, which beats the default taken
+// from the environment. Stored in config.json as
+//   { [guildId]: { settings: { key: value }, channels: { [channelId]: { key: value } } } }
+// Each schema entry has a type (number, integer, boolean, list, enum, channel
+// or string), optional min/max or choices, the scopes it may be set at, and a
+// default. Lists are lowercased unless keepCase is set, and validate(item)
+// may return an error message for a bad item.
+const CONFIG_SCHEMA = {
+  chimeChance: {
+    type: "number", min: 0, max: 1, scopes: ["guild", "channel"], default: RANDOM_CHIME_CHANCE,
+    description: "Chance (0-1) of chiming in on general chatter",
   },
-  {
-    name: "witty",
-    style: "Inject subtle humour and dry wit into your replies while remaining focused on intelligence gathering and neutrality."
+  quiet: {
+    type: "boolean", scopes: ["guild", "channel"], default: false,
+    description: "Quiet mode: never chime in unprompted",
   },
-  {
-    name: "playful",
-    style: "Loosen up slightly. Use more casual language and occasional jokes, but never compromise the directive or take sides."
+  degradeChance: {
+    type: "number", min: 0, max: 1, scopes: ["guild", "channel"], default: RANDOM_DEGRADE_CHANCE,
+    description: "Chance (0-1) of a spontaneous derogatory nickname",
   },
-  {
-    name: "sarcastic",
-    style: "Answer with a hint of sarcasm and scepticism. Question dubious claims with a raised eyebrow, figuratively speaking."
+  memoryEntries: {
+    type: "integer", min: 2, max: 100, scopes: ["guild", "channel"], default: MAX_MEMORY_ENTRIES,
+    description: "Recent messages remembered per channel",
   },
-  {
-    name: "pondering",
-    style: "Sound contemplative and philosophical, reflecting on the complexities of the conflict in a thoughtful manner."
-  }
-];
+  names: {
+    type: "list", scopes: ["guild", "channel"], default: BOT_NAMES,
+    description: "Names the bot answers to",
+  },
+  keywords: {
+    type: "list", scopes: ["guild", "channel"], default: LORE_KEYWORDS,
+    description: "Lore keywords that draw the bot's attention",
+  },
+  responseThreshold: {
+    type: "integer", min: 0, max: 300, scopes: ["guild", "channel"], default: 50,
+    description: "Relevance score needed before the bot responds",
+  },
+  cooldownSeconds: {
+    type: "integer", min: 0, max: 3600, scopes: ["guild", "channel"], default: 10,
+    description: "Seconds between replies that weren't directly asked for",
+  },
+  directCooldownSeconds: {
+    type: "integer", min: 0, max: 3600, scopes: ["guild", "channel"], default: 3,
+    description: "Seconds between replies when addressed directly",
+  },
+  maggotTriggers: {
+    type: "list", scopes: ["guild", "channel"], default: MAGGOT_TRIGGERS,
+    description: "Insults that earn a derogatory nickname",
+  },
+  degradeNames: {
+    type: "list", scopes: ["guild"], default: DEGRADE_NAMES,
+    description: "Nicknames handed out as punishment",
+  },
+  provider: {
+    type: "enum", choices: () => Object.keys(PROVIDER_FACTORIES), scopes: ["guild"], default: LLM_PROVIDER,
+    description: "Model provider (gemini, openai, ollama, mock)",
+  },
+  model: {
+    type: "string", scopes: ["guild"], default: "",
+    description: "Model name (empty: the provider's default)",
+  },
+  blockedTerms: {
+    type: "list", scopes: ["guild"], default: [],
+    description: "Words and phrases the bot must never post or use as a nickname",
+  },
+  blockedPatterns: {
+    type: "list", keepCase: true, validate: validatePattern, scopes: ["guild"], default: [],
+    description: "Regular expressions the bot must never post (add one with +pattern)",
+  },
+  moderationPolicy: {
+    type: "enum", choices: ["redact", "regenerate", "withhold"], scopes: ["guild"], default: "redact",
+    description: "What to do with a reply that trips a moderation rule",
+  },
+  safetyLevel: {
+    type: "enum", choices: ["off", "low", "medium", "high"], scopes: ["guild"], default: "off",
+    description: "Provider-side safety filtering (Gemini only)",
+  },
+  auditChannel: {
+    type: "channel", scopes: ["guild"], default: "",
+    description: "Channel that receives a copy of audit log entries (none: off)",
+  },
+  autoThread: {
+    type: "boolean", scopes: ["guild", "channel"], default: true,
+    description: "Open threads for document digests and disputed field reports",
+  },
+  dailyTokenBudget: {
+    type: "integer", min: 0, max: 1000000000, scopes: ["guild"], default: DAILY_TOKEN_BUDGET,
+    description: "Model tokens the server may use per UTC day (0: unlimited)",
+  },
+  moodUtcOffset: {
+    type: "integer", min: -12, max: 14, scopes: ["guild"], default: 0,
+    description: "Hours from UTC used for the persona's time-of-day mood",
+  },
+};
 
-function baseSystem(styleOverride = "") {
-  // Append manual log if present – this gives the model optional background.
-  const logIntro = manualLog ? `\n\nMANUAL LOG:\n${manualLog}\n\n` : "";
-  const style = styleOverride ? `\n\nAdditional style: ${styleOverride}` : "";
-  return MAJ_PERSONA + style + logIntro;
+const guildConfig = readJsonSafe(CONFIG_FILE, {});
+function saveConfig() {
+  writeJsonAtomic(CONFIG_FILE, guildConfig);
 }
 
-/* ===== LOG & IMAGE INGEST ===== */
-// Helper: guess MIME type from file extension
-function guessMimeFromName(nameOrUrl) {
-  const m = (nameOrUrl || "").match(/\.(png|jpe?g|webp|gif|bmp)$/i);
-  if (!m) return null;
-  const x = m[1].toLowerCase();
-  return x === "png"
-    ? "image/png"
-    : x === "jpg" || x === "jpeg"
-    ? "image/jpeg"
-    : x === "webp"
-    ? "image/webp"
-    : x === "gif"
-    ? "image/gif"
-    : x === "bmp"
-    ? "image/bmp"
-    : null;
+// Resolve a setting for a guild and, optionally, a channel within it.
+function getSetting(key, guildId = null, channelId = null) {
+  const entry = guildId ? guildConfig[guildId] : null;
+  for (const id of overrideChannels(channelId)) {
+    const channelValue = entry?.channels?.[id]?.[key];
+    if (channelValue !== undefined) return channelValue;
+  }
+  const guildValue = entry?.settings?.[key];
+  if (guildValue !== undefined) return guildValue;
+  return CONFIG_SCHEMA[key].default;
 }
-async function fetchImageAsInlineData(url, fallbackMime) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`fetch image: ${res.status} ${res.statusText}`);
-  const buf = Buffer.from(await res.arrayBuffer());
-  const mime = res.headers.get("content-type") || fallbackMime || guessMimeFromName(url) || "image/jpeg";
-  return { inlineData: { data: buf.toString("base64"), mimeType: mime } };
+// Where the effective value of a setting comes from: "channel", "guild" or
+// "default".
+function settingSource(key, guildId, channelId) {
+  const entry = guildId ? guildConfig[guildId] : null;
+  if (overrideChannels(channelId).some((id) => entry?.channels?.[id]?.[key] !== undefined)) return "channel";
+  if (entry?.settings?.[key] !== undefined) return "guild";
+  return "default";
 }
-async function collectImageParts(message) {
-  const parts = [];
-  for (const att of message.attachments.values()) {
-    const looksImage = att?.contentType?.startsWith?.("image/") || /\.(png|jpe?g|webp|gif|bmp)$/i.test(att?.name || "");
-    if (looksImage) {
-      parts.push(await fetchImageAsInlineData(att.url, att.contentType));
+// Channels whose overrides apply to a channel: threads and forum posts
+// inherit their parent's.
+function overrideChannels(channelId) {
+  if (!channelId) return [];
+  const channel = client.channels.cache.get(channelId);
+  return channel?.isThread?.() ? [channelId, channel.parentId] : [channelId];
+}
+// Convenience for code that only knows the channel (memory, relevance):
+// the guild is looked up from the client's channel cache.
+function channelSetting(channelId, key) {
+  const guildId = client.channels.cache.get(channelId)?.guildId ?? null;
+  return getSetting(key, guildId, channelId);
+}
+
+// Parse and validate user input for a setting. List settings accept a
+// comma-separated list, or "+item"/"-item" to edit the current list.
+// Returns { value } or { error }.
+function parseSettingValue(key, input, current) {
+  const schema = CONFIG_SCHEMA[key];
+  const raw = (input || "").trim();
+  switch (schema.type) {
+    case "number":
+    case "integer": {
+      const n = Number(raw);
+      if (raw === "" || !Number.isFinite(n)) return { error: `${key} must be a number.` };
+      if (schema.type === "integer" && !Number.isInteger(n)) return { error: `${key} must be a whole number.` };
+      if ((schema.min !== undefined && n < schema.min) || (schema.max !== undefined && n > schema.max)) {
+        return { error: `${key} must be between ${schema.min} and ${schema.max}.` };
+      }
+      return { value: n };
+    }
+    case "boolean": {
+      const v = raw.toLowerCase();
+      if (["on", "true", "yes", "1"].includes(v)) return { value: true };
+      if (["off", "false", "no", "0"].includes(v)) return { value: false };
+      return { error: `${key} must be on or off.` };
+    }
+    case "list": {
+      const norm = (item) => (schema.keepCase ? item.trim() : item.trim().toLowerCase());
+      if (/^[+-]/.test(raw)) {
+        const item = norm(raw.slice(1));
+        if (!item) return { error: "Give an item after + or -." };
+        const invalid = raw.startsWith("+") && schema.validate?.(item);
+        if (invalid) return { error: invalid };
+        const list = new Set(current);
+        if (raw.startsWith("+")) list.add(item);
+        else list.delete(item);
+        return { value: [...list] };
+      }
+      const items = raw.split(",").map(norm).filter(Boolean);
+      if (!items.length) return { error: `${key} needs at least one item.` };
+      const invalid = items.map((item) => schema.validate?.(item)).find(Boolean);
+      if (invalid) return { error: invalid };
+      return { value: [...new Set(items)] };
+    }
+    case "channel": {
+      if (["", "none", "off"].includes(raw.toLowerCase())) return { value: "" };
+      const m = raw.match(/^<#(\d+)>$/) || raw.match(/^(\d{5,})$/);
+      return m ? { value: m[1] } : { error: `${key} must be a channel mention, or none.` };
     }
+    case "enum": {
+      const choices = typeof schema.choices === "function" ? schema.choices() : schema.choices;
+      const v = raw.toLowerCase();
+      return choices.includes(v) ? { value: v } : { error: `${key} must be one of: ${choices.join(", ")}.` };
+    }
+    default:
+      return { value: raw };
   }
-  return parts;
 }
-async function fetchBuffer(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`fetch ${r.status} ${r.statusText}`);
-  return Buffer.from(await r.arrayBuffer());
+
+// Store (or, with value undefined, remove) an override at guild or channel
+// scope.
+function setSetting(guildId, channelId, key, value) {
+  const entry = guildConfig[guildId] || (guildConfig[guildId] = { settings: {}, channels: {} });
+  entry.channels = entry.channels || {};
+  entry.settings = entry.settings || {};
+  const bucket = channelId ? entry.channels[channelId] || (entry.channels[channelId] = {}) : entry.settings;
+  if (value === undefined) delete bucket[key];
+  else bucket[key] = value;
+  if (channelId && !Object.keys(bucket).length) delete entry.channels[channelId];
+  if (key === "blockedTerms" || key === "blockedPatterns") moderationRuleCache.delete(guildId);
+  saveConfig();
 }
-async function pdfExtractText(buf) {
-  const loadingTask = getDocument({ data: buf });
-  const pdf = await loadingTask.promise;
-  let text = "";
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const tc = await page.getTextContent();
-    const pageText = tc.items.map((i) => i.str).join(" ");
-    text += pageText + "\n\n";
+
+// blockedPatterns run against everything the bot posts, so a pattern that
+// backtracks catastrophically would stall every guild. Keep them short and
+// refuse quantified groups that contain a quantifier, like (a+)+ or (\w*\s)*.
+const MAX_PATTERN_CHARS = 200;
+function hasNestedQuantifier(pattern) {
+  const outer = [];
+  let quantified = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      i++;
+    } else if (c === "[") {
+      while (i + 1 < pattern.length && pattern[i + 1] !== "]") i += pattern[i + 1] === "\\" ? 2 : 1;
+      i++;
+    } else if (c === "(") {
+      outer.push(quantified);
+      quantified = false;
+    } else if (c === ")") {
+      const inner = quantified;
+      quantified = outer.pop() || inner;
+      if (inner && /[*+{]/.test(pattern[i + 1] || "")) return true;
+    } else if (/[*+{]/.test(c)) {
+      quantified = true;
+    }
   }
-  return text.trim();
+  return false;
 }
-async function extractDocTextFromAttachment(att) {
-  const name = (att?.name || "").toLowerCase();
-  const ct = (att?.contentType || "").toLowerCase();
+
+function validatePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_CHARS) return `Pattern is too long (${pattern.length} characters, max ${MAX_PATTERN_CHARS}).`;
   try {
-    // PDF – extract via pdfjs
-    if (ct.includes("application/pdf") || name.endsWith(".pdf")) {
-      const buf = await fetchBuffer(att.url);
-      return await pdfExtractText(buf);
-    }
-    // Plain text / markdown
-    if (ct.startsWith("text/") || name.endsWith(".txt") || name.endsWith(".md")) {
-      const r = await fetch(att.url);
-      return (await r.text()).trim();
+    new RegExp(pattern, "giu");
+  } catch (e) {
+    return `Invalid pattern /${pattern}/: ${e.message}`;
+  }
+  if (hasNestedQuantifier(pattern)) return `Pattern /${pattern}/ repeats a group that already repeats (like (a+)+), which can hang the bot. Rewrite it without the nested repetition.`;
+  return null;
+}
+function formatSetting(value, key = null) {
+  if (key && CONFIG_SCHEMA[key].type === "channel") return value ? `<#${value}>` : "(none)";
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "(empty)";
+  if (typeof value === "boolean") return value ? "on" : "off";
+  return value === "" ? "(default)" : String(value);
+}
+
+/* ===== AUDIT LOG ===== */
+// Privileged actions and automated discipline are recorded as one JSON
+// object per line in data/audit.jsonl, which is only ever appended to:
+//   { at, guildId, action, actorId, targetId, before, after, reason, auto }
+// action is a dotted name such as "nick.set" or "sentence.issue"; auto is
+// true when the bot acted on its own (triggers, sweeps, re-enforcement) and
+// actorId is then the bot's ID. If a guild sets auditChannel, entries are
+// also posted there as embeds. guildId is null for the manual log and
+// aliases, which all servers share.
+const AUDIT_COLOR = 0x8b0000;
+const AUDIT_QUERY_LIMIT = 25;
+
+function audit(guildId, { action, actorId = null, targetId = null, before = null, after = null, reason = "" }) {
+  const auto = !actorId || actorId === client.user?.id;
+  const entry = {
+    at: new Date().toISOString(),
+    guildId,
+    action,
+    actorId: actorId || client.user?.id || null,
+    targetId,
+    before,
+    after,
+    reason,
+    auto,
+  };
+  try {
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + "\n");
+  } catch (e) {
+    console.warn("audit write failed:", e.message);
+  }
+  mirrorAuditEntry(entry).catch((e) => console.warn("audit mirror failed:", e.message));
+  return entry;
+}
+
+// Entries for the shared manual log and aliases (guildId null) go to every
+// guild's audit channel, as they show up in every guild's !audit.
+async function mirrorAuditEntry(entry) {
+  const guildIds = entry.guildId ? [entry.guildId] : [...client.guilds.cache.keys()];
+  const channelIds = [...new Set(guildIds.map((id) => getSetting("auditChannel", id)).filter(Boolean))];
+  if (!channelIds.length) return;
+  const fields = [
+    { name: "Actor", value: `<@${entry.actorId}>${entry.auto ? " (automatic)" : ""}`, inline: true },
+  ];
+  if (entry.targetId) fields.push({ name: "Target", value: `<@${entry.targetId}>`, inline: true });
+  if (entry.before !== null) fields.push({ name: "Before", value: clipAudit(entry.before) });
+  if (entry.after !== null) fields.push({ name: "After", value: clipAudit(entry.after) });
+  if (entry.reason) fields.push({ name: "Reason", value: clipAudit(entry.reason) });
+  for (const channelId of channelIds) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel?.send) continue;
+    await deliver((p) => channel.send(p), {
+      embeds: [{ title: entry.action, color: AUDIT_COLOR, fields, timestamp: entry.at }],
+      allowedMentions: { parse: [] },
+    });
+  }
+}
+function clipAudit(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return (text || "(none)").slice(0, 1024);
+}
+
+// Read entries for a guild, newest first. user matches actor or target,
+// action matches a whole name or a prefix ("nick" finds "nick.set").
+function queryAudit(guildId, { userId = null, since = 0, action = null, limit = AUDIT_QUERY_LIMIT } = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(AUDIT_FILE, "utf8").split("\n");
+  } catch {
+    return [];
+  }
+  const results = [];
+  for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+    if (!lines[i]) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
     }
+    // The manual log and aliases are shared by all servers, so their
+    // entries (guildId null) show up everywhere.
+    if (entry.guildId !== guildId && entry.guildId !== null) continue;
+    if (since && Date.parse(entry.at) < since) break;
+    if (userId && entry.actorId !== userId && entry.targetId !== userId) continue;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) continue;
+    results.push(entry);
+  }
+  return results;
+}
+
+/* ===== MODERATION ===== */
+// Everything the bot is about to post – model replies, digests, SITREPs and
+// nicknames – passes through a local filter first. Each guild lists
+// blocked terms (matched on word boundaries, like the relevance engine's
+// keywords) and blocked regular expressions. What happens to a model reply
+// that trips a rule depends on moderationPolicy:
+//   redact     – replace the offending text with REDACTION
+//   regenerate – ask the model for a clean version (up to
+//                MODERATION_REGENERATIONS times), then redact
+//   withhold   – post a short notice instead
+// Nicknames that trip a rule are never applied. Every hit, and every reply
+// the provider itself blocked, is recorded in data/moderation.jsonl as
+//   { at, guildId, channelId, kind, rules, policy, excerpt }
+// so the rules can be tuned.
+const MODERATION_LOG_FILE = path.join(DATA_DIR, "moderation.jsonl");
+const REDACTION = "[redacted]";
+const WITHHELD_NOTICE = "[Response withheld by moderation.]";
+const MODERATION_REGENERATIONS = 1;
+const MODERATION_EXCERPT_CHARS = 200;
+
+// Compile the guild's rules as global regexes, once per change to
+// blockedTerms or blockedPatterns (setSetting clears the cache). Bad patterns
+// are skipped (they are validated when set, so this only matters for
+// hand-edited config).
+const moderationRuleCache = new Map();
+function moderationRules(guildId) {
+  if (moderationRuleCache.has(guildId)) return moderationRuleCache.get(guildId);
+  const rules = getSetting("blockedTerms", guildId).map((term) => ({
+    rule: `term "${term}"`,
+    regex: termRegex(term, "giu"),
+  }));
+  for (const pattern of getSetting("blockedPatterns", guildId)) {
+    const invalid = validatePattern(pattern);
+    if (invalid) console.warn(`ignoring blockedPatterns entry: ${invalid}`);
+    else rules.push({ rule: `pattern /${pattern}/`, regex: new RegExp(pattern, "giu") });
+  }
+  moderationRuleCache.set(guildId, rules);
+  return rules;
+}
+
+// Names of the rules a text trips, in rule order. search() rather than
+// test(), which would carry lastIndex over between calls on these shared
+// global regexes.
+function moderationHits(guildId, text) {
+  return moderationRules(guildId).filter(({ regex }) => text.search(regex) !== -1).map(({ rule }) => rule);
+}
+
+function redactText(guildId, text) {
+  return moderationRules(guildId).reduce((out, { regex }) => out.replace(regex, REDACTION), text);
+}
+
+function recordModeration(entry) {
+  const line = { at: new Date().toISOString(), ...entry, excerpt: (entry.excerpt || "").slice(0, MODERATION_EXCERPT_CHARS) };
+  try {
+    fs.appendFileSync(MODERATION_LOG_FILE, JSON.stringify(line) + "\n");
   } catch (e) {
-    console.warn("doc parse error:", e.message);
+    console.warn("moderation log write failed:", e.message);
   }
-  return "";
 }
-async function collectDocText(message) {
-  const chunks = [];
-  for (const att of message.attachments.values()) {
-    const t = await extractDocTextFromAttachment(att);
-    if (t) chunks.push(`Attachment **${att.name}**:\n\n${t}`);
+
+// Filter text the bot is about to post. regenerate(rules) may be given to
+// let the "regenerate" policy ask for a new draft; it should resolve to the
+// new text. Returns the text to post.
+async function moderateOutput(guildId, text, { channelId = null, kind = "reply", regenerate = null } = {}) {
+  let hits = moderationHits(guildId, text);
+  if (!hits.length) return text;
+  const policy = getSetting("moderationPolicy", guildId);
+  recordModeration({ guildId, channelId, kind, rules: hits, policy, excerpt: text });
+  if (policy === "withhold") return WITHHELD_NOTICE;
+  if (policy === "regenerate" && regenerate) {
+    for (let attempt = 0; attempt < MODERATION_REGENERATIONS; attempt++) {
+      try {
+        text = await regenerate(hits);
+      } catch (e) {
+        console.warn("moderation regenerate failed:", e.message);
+        break;
+      }
+      hits = moderationHits(guildId, text);
+      if (!hits.length) return text;
+      recordModeration({ guildId, channelId, kind: `${kind} (regenerated)`, rules: hits, policy, excerpt: text });
+    }
   }
-  return chunks.join("\n\n");
+  return redactText(guildId, text);
 }
 
-/* ===== INTEL ANALYSIS ===== */
-async function respondWithIntel(message, promptText, channelId) {
-  // Pick a random persona state for variety. If no states defined, use empty style.
-  const state = PERSONA_STATES[Math.floor(Math.random() * PERSONA_STATES.length)] || { style: "" };
-  // Build a model instance with a dynamic system instruction that includes the
-  // selected style and the manual log. Note: using a new model per call
-  // incurs slight overhead but allows us to vary persona on each response.
-  const model = genAI.getGenerativeModel({
-    model: GEMINI_MODEL,
-    systemInstruction: { parts: [{ text: baseSystem(state.style) }] },
-    generationConfig: { temperature: 0.7, maxOutputTokens: 220 },
-    safetySettings,
-  });
-  // Assemble recent memory into the prompt. Each memory entry becomes a
-  // prefaced line like "<speaker>: <text>". Only the last MAX_MEMORY_ENTRIES
-  // entries are retained, but we slice again defensively.
-  let memoryLines = [];
-  const mem = getMemory(channelId);
-  if (mem && mem.length) {
-    const entries = mem.slice(-MAX_MEMORY_ENTRIES);
-    memoryLines = entries.map((it) => `${it.speaker}: ${it.text}`);
+// Check a nickname before applying it. Returns the first rule it trips
+// (after recording it), or null if it is acceptable.
+function nicknameViolation(guildId, nickname) {
+  const hits = moderationHits(guildId, nickname);
+  if (!hits.length) return null;
+  recordModeration({ guildId, channelId: null, kind: "nickname", rules: hits, policy: "reject", excerpt: nickname });
+  return hits[0];
+}
+
+// Recent entries of the moderation log for a guild, newest first.
+function readModerationLog(guildId, limit = 15) {
+  let lines;
+  try {
+    lines = fs.readFileSync(MODERATION_LOG_FILE, "utf8").split("\n");
+  } catch {
+    return [];
   }
-  const memoryPrefix = memoryLines.length ? `Previous conversation:\n${memoryLines.join("\n")}\n\n` : "";
-  // Compose the full prompt passed to the model. We separate the user's
-  // current message with a marker so the model knows what to respond to.
-  const fullPrompt = `${memoryPrefix}${promptText}`;
-  const contents = [
-    { role: "user", parts: [{ text: fullPrompt }] },
-  ];
+  const entries = [];
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    try {
+      const entry = lines[i] && JSON.parse(lines[i]);
+      if (entry && entry.guildId === guildId) entries.push(entry);
+    } catch {
+      // skip damaged lines
+    }
+  }
+  return entries;
+}
+
+/* ===== DISCORD CLIENT ===== */
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.DirectMessages,
+  ],
+  // DM channels arrive uncached, hence the channel partial. Message
+  // partials let edits and deletions of uncached messages reach the memory
+  // handlers.
+  partials: [Partials.Channel, Partials.Message],
+});
+
+/* ===== LLM PROVIDERS ===== */
+// Model calls go through a small provider interface so the bot can run on
+// Gemini, any OpenAI-compatible endpoint, a local Ollama server, or a
+// scripted mock for offline testing. A provider exposes:
+//   name, defaultModel
+//   generate({ model, system, parts, temperature, maxTokens, safety })
+//     -> { text, usage: { promptTokens, outputTokens } }
+// safety is the guild's safetyLevel; backends without adjustable filters
+// ignore it.
+// parts use Gemini's shape: { text } or { inlineData: { data, mimeType } }
+// with base64 data; each backend converts them to its own wire format.
+// Backends throw ProviderError so callers can tell failures apart.
+class ProviderError extends Error {
+  constructor(message, { provider, status = 0, kind = "error", retryAfterMs = 0 } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+    // "auth", "rate_limit", "safety", "timeout", "unavailable", "budget"
+    // (refused locally, see METRICS) or "error"
+    this.kind = kind;
+    // From a Retry-After header, when the backend sent one.
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+function errorKindForStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status === 408 || status === 504) return "timeout";
+  if (status >= 500) return "unavailable";
+  return "error";
+}
+
+// POST JSON with a timeout, throwing ProviderError on failure.
+async function postJson(provider, url, body, headers = {}) {
+  let res;
   try {
-    const resp = await model.generateContent({ contents });
-    const out = typeof resp?.response?.text === "function" ? resp.response.text() : "";
-    const trimmed = (out || "").trim();
-    return trimmed || "I couldn't formulate a response.";
-  } catch (err) {
-    console.error("gemini error:", err);
-    return "Gemini request failed. Check configuration.";
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+    });
+  } catch (e) {
+    const kind = e.name === "TimeoutError" ? "timeout" : "unavailable";
+    throw new ProviderError(`${provider}: ${e.message}`, { provider, kind });
+  }
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => "")).slice(0, 200);
+    throw new ProviderError(`${provider}: ${res.status} ${res.statusText} ${detail}`.trim(), {
+      provider,
+      status: res.status,
+      kind: errorKindForStatus(res.status),
+      retryAfterMs: (Number(res.headers.get("retry-after")) || 0) * 1000,
+    });
   }
+  return res.json();
 }
 
-/* ===== COMMAND HANDLER ===== */
-async function handleCommand(message, raw) {
-  const [cmd, ...rest] = raw.trim().split(/\s+/);
-  const lower = cmd.toLowerCase();
+function partsToText(parts) {
+  return parts.filter((p) => p.text).map((p) => p.text).join("\n");
+}
+function imageParts(parts) {
+  return parts.filter((p) => p.inlineData);
+}
+
+// Gemini through the official SDK (the original behaviour).
+// The guild's safetyLevel setting picks the threshold for every harm
+// category. The default, "off", keeps the original BLOCK_NONE and relies on
+// our own directive and the MODERATION filter instead.
+const SAFETY_THRESHOLDS = {
+  off: HarmBlockThreshold.BLOCK_NONE,
+  low: HarmBlockThreshold.BLOCK_ONLY_HIGH,
+  medium: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
+  high: HarmBlockThreshold.BLOCK_LOW_AND_ABOVE,
+};
+const HARM_CATEGORIES = [
+  HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+  HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+  HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
+  HarmCategory.HARM_CATEGORY_HARASSMENT,
+  HarmCategory.HARM_CATEGORY_CIVIC_INTEGRITY,
+];
+function safetySettings(level = "off") {
+  const threshold = SAFETY_THRESHOLDS[level] || SAFETY_THRESHOLDS.off;
+  return HARM_CATEGORIES.map((category) => ({ category, threshold }));
+}
+function createGeminiProvider() {
+  if (!GOOGLE_API_KEY) throw new Error("Missing GOOGLE_API_KEY in .env");
+  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
+  return {
+    name: "gemini",
+    defaultModel: GEMINI_MODEL,
+    async generate({ model, system, parts, temperature, maxTokens, safety }) {
+      // A new model instance per call lets the system instruction vary.
+      const m = genAI.getGenerativeModel({
+        model,
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: { temperature, maxOutputTokens: maxTokens },
+        safetySettings: safetySettings(safety),
+      });
+      let resp;
+      try {
+        resp = await m.generateContent({ contents: [{ role: "user", parts }] });
+      } catch (e) {
+        const status = e.status || 0;
+        throw new ProviderError(`gemini: ${e.message}`, { provider: "gemini", status, kind: errorKindForStatus(status) });
+      }
+      const blocked = resp?.response?.promptFeedback?.blockReason || (resp?.response?.candidates?.[0]?.finishReason === "SAFETY" && "SAFETY");
+      if (blocked) throw new ProviderError(`gemini: blocked (${blocked})`, { provider: "gemini", kind: "safety" });
+      let text = "";
+      try {
+        text = typeof resp?.response?.text === "function" ? resp.response.text() : "";
+      } catch (e) {
+        throw new ProviderError(`gemini: ${e.message}`, { provider: "gemini", kind: "safety" });
+      }
+      const usage = resp?.response?.usageMetadata || {};
+      return { text, usage: { promptTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 } };
+    },
+  };
+}
+
+// Any endpoint speaking the OpenAI chat completions API (OpenAI itself,
+// OpenRouter, vLLM, LM Studio, llama.cpp server, ...).
+function createOpenAIProvider() {
+  const base = OPENAI_BASE_URL.replace(/\/+$/, "");
+  return {
+    name: "openai",
+    defaultModel: OPENAI_MODEL,
+    async generate({ model, system, parts, temperature, maxTokens }) {
+      const content = [
+        { type: "text", text: partsToText(parts) },
+        ...imageParts(parts).map((p) => ({
+          type: "image_url",
+          image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` },
+        })),
+      ];
+      const data = await postJson(
+        "openai",
+        `${base}/chat/completions`,
+        {
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content },
+          ],
+          temperature,
+          max_tokens: maxTokens,
+        },
+        OPENAI_API_KEY ? { authorization: `Bearer ${OPENAI_API_KEY}` } : {}
+      );
+      const choice = data?.choices?.[0];
+      if (choice?.finish_reason === "content_filter") {
+        throw new ProviderError("openai: blocked by content filter", { provider: "openai", kind: "safety" });
+      }
+      return {
+        text: choice?.message?.content || "",
+        usage: { promptTokens: data?.usage?.prompt_tokens || 0, outputTokens: data?.usage?.completion_tokens || 0 },
+      };
+    },
+  };
+}
+
+// A local Ollama server via its /api/chat endpoint.
+function createOllamaProvider() {
+  const base = OLLAMA_URL.replace(/\/+$/, "");
+  return {
+    name: "ollama",
+    defaultModel: OLLAMA_MODEL,
+    async generate({ model, system, parts, temperature, maxTokens }) {
+      const images = imageParts(parts).map((p) => p.inlineData.data);
+      const data = await postJson("ollama", `${base}/api/chat`, {
+        model,
+        stream: false,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: partsToText(parts), ...(images.length ? { images } : {}) },
+        ],
+        options: { temperature, num_predict: maxTokens },
+      });
+      return {
+        text: data?.message?.content || "",
+        usage: { promptTokens: data?.prompt_eval_count || 0, outputTokens: data?.eval_count || 0 },
+      };
+    },
+  };
+}
+
+// Deterministic offline provider. With MOCK_SCRIPT pointing at a JSON file
+// it answers from the script: an array whose entries are either strings,
+// used in order (cycling), or { "match": "<regex>", "reply": "..." } rules
+// checked first against the prompt text. Without a script it echoes the last
+// line of the prompt. Every call is kept in `calls` for inspection.
+function createMockProvider() {
+  const script = MOCK_SCRIPT ? readJsonSafe(path.resolve(__ROOT, MOCK_SCRIPT), []) : [];
+  const rules = script.filter((e) => e && typeof e === "object" && e.match);
+  const sequence = script.filter((e) => typeof e === "string");
+  let next = 0;
+  const calls = [];
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    calls,
+    async generate(req) {
+      calls.push(req);
+      const prompt = partsToText(req.parts);
+      const rule = rules.find((r) => new RegExp(r.match, "i").test(prompt));
+      let text;
+      if (rule) text = rule.reply;
+      else if (sequence.length) text = sequence[next++ % sequence.length];
+      else {
+        const last = prompt.trim().split("\n").pop() || "";
+        const images = imageParts(req.parts).length;
+        text = `[mock] ack: ${last.slice(0, 120)}${images ? ` (+${images} image(s))` : ""}`;
+      }
+      return { text, usage: { promptTokens: Math.ceil((req.system.length + prompt.length) / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+const providerCache = new Map();
+function getProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) throw new Error(`Unknown LLM provider: ${name}`);
+  if (!providerCache.has(name)) providerCache.set(name, PROVIDER_FACTORIES[name]());
+  return providerCache.get(name);
+}
+
+// The provider and model for a guild come from its "provider" and "model"
+// settings (see GUILD CONFIG). LLM_MODEL only applies to LLM_PROVIDER.
+function providerSettingsFor(guildId) {
+  const name = getSetting("provider", guildId);
+  const model = getSetting("model", guildId);
+  return { name, model: model || (name === LLM_PROVIDER && LLM_MODEL) || null };
+}
+
+// Run one generation for a guild with the configured provider and model.
+// Calls queue for a slot and retry transient errors (see REQUEST SCHEDULER).
+// Each attempt is counted under purpose ("reply", "summary", ...) and its
+// tokens charged to the guild; once the guild's daily token budget is spent
+// the call is refused with a "budget" error (see METRICS).
+async function generateText(guildId, { system, parts, temperature = 0.7, maxTokens = 220, purpose = "other" }) {
+  const settings = providerSettingsFor(guildId);
+  const provider = getProvider(settings.name);
+  const model = settings.model || provider.defaultModel;
+  const safety = getSetting("safetyLevel", guildId);
+  if (budgetLevel(guildId) === "exhausted") {
+    countMetric("budget_refusals_total", { purpose });
+    throw new ProviderError(`${provider.name}: daily token budget spent`, { provider: provider.name, kind: "budget" });
+  }
+  const attempt = async () => {
+    const started = Date.now();
+    try {
+      const result = await provider.generate({ model, system, parts, temperature, maxTokens, safety });
+      recordModelCall(guildId, { provider: provider.name, purpose, ms: Date.now() - started, usage: result.usage });
+      return result;
+    } catch (err) {
+      recordModelCall(guildId, { provider: provider.name, purpose, ms: Date.now() - started, error: err });
+      throw err;
+    }
+  };
+  const result = await withRetries(() => modelLimiter.run(attempt));
+  return { ...result, provider: provider.name, model };
+}
+
+/* ===== REQUEST SCHEDULER ===== */
+// Model calls are rationed so a busy channel can't flood the backend:
+// at most MODEL_CONCURRENCY calls run at once across the bot and one reply
+// per channel is in flight. Transient failures (rate limits, timeouts,
+// outages) are retried with exponential backoff and full jitter, honouring
+// Retry-After when the backend sends one. Each user also gets a small
+// budget of conversational replies per minute.
+const MODEL_CONCURRENCY = Number(process.env.MODEL_CONCURRENCY || 2);
+const MODEL_MAX_RETRIES = Number(process.env.MODEL_MAX_RETRIES || 3);
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 20000;
+const RETRYABLE_KINDS = new Set(["rate_limit", "timeout", "unavailable"]);
+const USER_RATE_LIMIT = Number(process.env.USER_RATE_LIMIT || 6);
+const USER_RATE_WINDOW_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A counting semaphore: run(fn) waits for a free slot, then runs fn.
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  const release = () => {
+    active--;
+    if (waiting.length) waiting.shift()();
+  };
+  return {
+    get active() { return active; },
+    get queued() { return waiting.length; },
+    async run(fn) {
+      if (active >= max) await new Promise((resolve) => waiting.push(resolve));
+      active++;
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+const modelLimiter = createLimiter(MODEL_CONCURRENCY);
+const channelLimiters = new Map();
+function channelLimiter(channelId) {
+  if (!channelLimiters.has(channelId)) channelLimiters.set(channelId, createLimiter(1));
+  return channelLimiters.get(channelId);
+}
+
+// Call fn, retrying retryable ProviderErrors. The delay before attempt n is
+// a random value up to RETRY_BASE_MS * 2^n (capped), or Retry-After if
+// that is longer.
+async function withRetries(fn, retries = MODEL_MAX_RETRIES) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !RETRYABLE_KINDS.has(err.kind)) throw err;
+      const backoff = Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+      const delay = Math.max(backoff, err.retryAfterMs || 0);
+      console.warn(`${err.provider || "model"} ${err.kind}, retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Sliding-window limit on conversational replies per user. Returns
+// { ok, retryInMs, notify } where notify is true only for the first refusal
+// in a window, so the bot says so once instead of on every message.
+const userRequestTimes = new Map();
+const userNotified = new Map();
+function takeUserRequest(userId) {
+  const now = Date.now();
+  const times = (userRequestTimes.get(userId) || []).filter((t) => now - t < USER_RATE_WINDOW_MS);
+  if (times.length >= USER_RATE_LIMIT) {
+    userRequestTimes.set(userId, times);
+    const notify = (userNotified.get(userId) || 0) < times[0];
+    if (notify) userNotified.set(userId, now);
+    return { ok: false, retryInMs: times[0] + USER_RATE_WINDOW_MS - now, notify };
+  }
+  times.push(now);
+  userRequestTimes.set(userId, times);
+  return { ok: true };
+}
+
+// What to tell users when a model call finally fails.
+function describeModelError(err) {
+  const which = err.provider || "model";
+  switch (err.kind) {
+    case "rate_limit": return `The ${which} backend is rate limiting us. Try again in a minute.`;
+    case "safety": return `The ${which} backend blocked that request with its safety filter.`;
+    case "timeout": return `The ${which} backend took too long to answer. Try again.`;
+    case "unavailable": return `The ${which} backend is unavailable right now. Try again shortly.`;
+    case "auth": return `The ${which} backend rejected our credentials. Check configuration.`;
+    case "budget": return "This server has used its daily model budget. It resets at midnight UTC.";
+    default: return `Model request failed (${which}). Check configuration.`;
+  }
+}
+
+/* ===== METRICS ===== */
+// Operational counters kept in memory since start-up: model calls and their
+// latency, tokens as reported in each backend's usage metadata, failures by
+// kind, replies by what triggered them and commands run. Tokens are also
+// totalled per guild and UTC day in usage.json, which backs the daily token
+// budgets and survives restarts. A small local HTTP server exposes /healthz
+// and Prometheus-format /metrics; !stats shows a summary in Discord.
+const METRIC_PREFIX = "pickletooth_";
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 30, 60];
+// Latencies kept for the averages and percentiles in !stats.
+const MAX_RECENT_LATENCIES = 500;
+// Days of per-guild token totals kept in usage.json.
+const USAGE_KEEP_DAYS = 35;
+// Budget levels, as shares of the daily budget: past BUDGET_LEAN_AT replies
+// carry half the memory and log passages, past BUDGET_MINIMAL_AT only the
+// last couple of turns and one passage, and once it is spent model calls are
+// refused until midnight UTC.
+const BUDGET_LEAN_AT = 0.7;
+const BUDGET_MINIMAL_AT = 0.9;
+// Background upkeep (summaries, graph extraction) only runs at these levels,
+// leaving the rest of the budget for replies.
+const BACKGROUND_BUDGET_LEVELS = new Set(["full", "lean"]);
+
+const metrics = new Map();
+function defineMetric(name, type, help) {
+  metrics.set(name, { type, help, series: new Map() });
+}
+defineMetric("model_requests_total", "counter", "Model call attempts by provider, purpose and outcome.");
+defineMetric("model_errors_total", "counter", "Failed model call attempts by provider and error kind.");
+defineMetric("model_tokens_total", "counter", "Tokens reported by the model backend, by provider and direction.");
+defineMetric("model_latency_seconds", "histogram", "Model call latency, excluding time spent queued.");
+defineMetric("budget_refusals_total", "counter", "Model calls refused because the daily token budget was spent.");
+defineMetric("replies_total", "counter", "Conversational replies by the strongest relevance signal.");
+defineMetric("commands_total", "counter", "Commands run, by command.");
+
+function metricSeries(name, labels) {
+  const { series } = metrics.get(name);
+  const key = Object.entries(labels).map(([k, v]) => `${k}=${v}`).join(",");
+  if (!series.has(key)) series.set(key, { labels, value: 0, count: 0, sum: 0, buckets: LATENCY_BUCKETS.map(() => 0) });
+  return series.get(key);
+}
+function countMetric(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+function observeMetric(name, labels, value) {
+  const s = metricSeries(name, labels);
+  s.count++;
+  s.sum += value;
+  LATENCY_BUCKETS.forEach((b, i) => {
+    if (value <= b) s.buckets[i]++;
+  });
+}
+// Sum a metric's series, optionally grouped by one label.
+function metricTotals(name, by = null) {
+  const totals = {};
+  for (const s of metrics.get(name).series.values()) {
+    const key = by ? s.labels[by] : "all";
+    totals[key] = (totals[key] || 0) + s.value;
+  }
+  return totals;
+}
+
+const recentLatencies = [];
+let lastModelError = null;
+
+// Count one model call attempt. Called for every try, so retries show up as
+// separate attempts.
+function recordModelCall(guildId, { provider, purpose, ms, usage = null, error = null }) {
+  countMetric("model_requests_total", { provider, purpose, outcome: error ? "error" : "ok" });
+  observeMetric("model_latency_seconds", { provider }, ms / 1000);
+  recentLatencies.push(ms);
+  if (recentLatencies.length > MAX_RECENT_LATENCIES) recentLatencies.shift();
+  if (error) {
+    countMetric("model_errors_total", { provider, kind: error.kind || "error" });
+    lastModelError = { provider, kind: error.kind || "error", message: error.message, at: new Date().toISOString() };
+    return;
+  }
+  countMetric("model_tokens_total", { provider, direction: "prompt" }, usage?.promptTokens || 0);
+  countMetric("model_tokens_total", { provider, direction: "output" }, usage?.outputTokens || 0);
+  recordUsage(guildId, usage);
+}
+
+// usage.json: { [guildId or "dm"]: { "YYYY-MM-DD": { promptTokens, outputTokens, calls } } }
+// Direct messages have no guild and share the "dm" entry and the default
+// budget.
+const tokenUsage = readJsonSafe(USAGE_FILE, {});
+const usageDay = (at = Date.now()) => new Date(at).toISOString().slice(0, 10);
+const usageKey = (guildId) => guildId || "dm";
+
+function recordUsage(guildId, usage) {
+  const days = (tokenUsage[usageKey(guildId)] ||= {});
+  const today = (days[usageDay()] ||= { promptTokens: 0, outputTokens: 0, calls: 0 });
+  today.promptTokens += usage?.promptTokens || 0;
+  today.outputTokens += usage?.outputTokens || 0;
+  today.calls++;
+  const oldest = usageDay(Date.now() - USAGE_KEEP_DAYS * 24 * 60 * 60 * 1000);
+  for (const day of Object.keys(days)) if (day < oldest) delete days[day];
+  writeJsonAtomic(USAGE_FILE, tokenUsage);
+}
+
+// Token totals for a guild on each of the last `days` UTC days, oldest first.
+function usageHistory(guildId, days = 7) {
+  const record = tokenUsage[usageKey(guildId)] || {};
+  return Array.from({ length: days }, (_, i) => {
+    const day = usageDay(Date.now() - (days - 1 - i) * 24 * 60 * 60 * 1000);
+    const d = record[day];
+    return { day, tokens: d ? d.promptTokens + d.outputTokens : 0, calls: d?.calls || 0 };
+  });
+}
+const tokensToday = (guildId) => usageHistory(guildId, 1)[0].tokens;
+
+// "full", "lean", "minimal" or "exhausted" (see BUDGET_LEAN_AT).
+function budgetLevel(guildId) {
+  const budget = getSetting("dailyTokenBudget", guildId);
+  if (!budget) return "full";
+  const used = tokensToday(guildId) / budget;
+  if (used >= 1) return "exhausted";
+  if (used >= BUDGET_MINIMAL_AT) return "minimal";
+  return used >= BUDGET_LEAN_AT ? "lean" : "full";
+}
+
+// The relevance signal that did most to earn a reply, for replies_total.
+function replyTrigger(decision) {
+  const top = (decision?.reasons || []).filter((r) => r.points > 0).sort((a, b) => b.points - a.points)[0];
+  return top?.signal || "unknown";
+}
+
+// Latency percentile (0-1) over recent calls, in milliseconds.
+function latencyPercentile(p) {
+  if (!recentLatencies.length) return null;
+  const sorted = [...recentLatencies].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+// Prometheus text exposition format, version 0.0.4.
+function renderMetrics() {
+  const lines = [];
+  const family = (name, type, help) => lines.push(`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} ${type}`);
+  const sample = (name, labels, value) => lines.push(`${METRIC_PREFIX}${name}${formatLabels(labels)} ${value}`);
+  for (const [name, m] of metrics) {
+    family(name, m.type, m.help);
+    for (const s of m.series.values()) {
+      if (m.type !== "histogram") {
+        sample(name, s.labels, s.value);
+        continue;
+      }
+      LATENCY_BUCKETS.forEach((b, i) => sample(`${name}_bucket`, { ...s.labels, le: String(b) }, s.buckets[i]));
+      sample(`${name}_bucket`, { ...s.labels, le: "+Inf" }, s.count);
+      sample(`${name}_sum`, s.labels, s.sum.toFixed(3));
+      sample(`${name}_count`, s.labels, s.count);
+    }
+  }
+  // Gauges, read at scrape time.
+  family("uptime_seconds", "gauge", "Seconds since start-up.");
+  sample("uptime_seconds", {}, Math.round(process.uptime()));
+  family("model_calls_active", "gauge", "Model calls running now.");
+  sample("model_calls_active", {}, modelLimiter.active);
+  family("model_calls_queued", "gauge", "Model calls waiting for a slot.");
+  sample("model_calls_queued", {}, modelLimiter.queued);
+  family("guild_tokens_today", "gauge", "Model tokens used today (UTC), per guild.");
+  for (const key of Object.keys(tokenUsage)) sample("guild_tokens_today", { guild: key }, tokensToday(key === "dm" ? null : key));
+  family("guild_token_budget", "gauge", "Daily model token budget per guild (0: unlimited).");
+  for (const id of client.guilds.cache.keys()) sample("guild_token_budget", { guild: id }, getSetting("dailyTokenBudget", id));
+  return `${lines.join("\n")}\n`;
+}
+
+// Healthy once the Discord client is ready (always, in a simulation).
+function healthStatus() {
+  const ready = SIMULATE || client.isReady();
+  return {
+    status: ready ? "ok" : "unavailable",
+    uptimeSeconds: Math.round(process.uptime()),
+    discord: { ready, ping: ready && !SIMULATE ? client.ws.ping : null, guilds: client.guilds.cache.size },
+    model: { active: modelLimiter.active, queued: modelLimiter.queued, lastError: lastModelError },
+  };
+}
+
+// GET /healthz answers 200 with a JSON status (503 while Discord is not
+// connected); GET /metrics serves the counters. Listens on METRICS_HOST only,
+// localhost by default, so scrape it from the same machine or a sidecar.
+function startMetricsServer() {
+  if (!METRICS_PORT) return null;
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD" }).end();
+    } else if (pathname === "/healthz") {
+      const health = healthStatus();
+      res.writeHead(health.discord.ready ? 200 : 503, { "content-type": "application/json" }).end(JSON.stringify(health));
+    } else if (pathname === "/metrics") {
+      res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" }).end(renderMetrics());
+    } else {
+      res.writeHead(404, { "content-type": "text/plain" }).end("Not found\n");
+    }
+  });
+  server.on("error", (e) => console.warn(`metrics endpoint failed on ${METRICS_HOST}:${METRICS_PORT}:`, e.message));
+  server.listen(METRICS_PORT, METRICS_HOST, () => console.log(`Serving /healthz and /metrics on http://${METRICS_HOST}:${METRICS_PORT}`));
+  // Don't keep the process alive just for the endpoint.
+  server.unref();
+  return server;
+}
+
+/* ===== MANUAL LOG RETRIEVAL ===== */
+// The manual log is split into passages and indexed with BM25 so only the
+// passages relevant to the current conversation are sent to the model,
+// rather than the whole log on every call. Everything runs locally.
+const LOG_CHUNK_CHARS = Number(process.env.LOG_CHUNK_CHARS || 800);
+const LOG_TOP_K = Number(process.env.LOG_TOP_K || 4);
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have he her his i if in into is it its me my of on or our she so that the their them they this to was we were what when where which who will with you your".split(" ")
+);
+
+function searchTokens(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Split text into passages of roughly maxChars. Markdown headings
+// ("# Cube cult") start a new section; paragraphs within a section are packed
+// together and overly long paragraphs are cut on sentence boundaries. Each
+// passage remembers the section it came from. Used for the manual log and
+// for long documents in !parse.
+function chunkText(text, maxChars = LOG_CHUNK_CHARS) {
+  const chunks = [];
+  let section = "";
+  let buf = "";
+  const flush = () => {
+    if (buf.trim()) chunks.push({ id: chunks.length + 1, section, text: buf.trim() });
+    buf = "";
+  };
+  const addParagraph = (para) => {
+    if (buf && buf.length + para.length + 2 > maxChars) flush();
+    if (para.length <= maxChars) {
+      buf += (buf ? "\n\n" : "") + para;
+      return;
+    }
+    for (const sentence of para.match(/[^.!?]+[.!?]*\s*/g) || [para]) {
+      if (buf && buf.length + sentence.length > maxChars) flush();
+      for (let i = 0; i < sentence.length; i += maxChars) buf += sentence.slice(i, i + maxChars);
+    }
+  };
+  let para = [];
+  const endParagraph = () => {
+    if (para.length) addParagraph(para.join("\n").trim());
+    para = [];
+  };
+  for (const line of (text || "").split(/\r?\n/)) {
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      endParagraph();
+      flush();
+      section = heading[1];
+      continue;
+    }
+    if (!line.trim()) endParagraph();
+    else para.push(line);
+  }
+  endParagraph();
+  flush();
+  return chunks;
+}
+
+// Build a BM25 index over the passages of a log.
+function buildLogIndex(text) {
+  const chunks = chunkText(text);
+  const docs = chunks.map((c) => {
+    const terms = searchTokens(`${c.section} ${c.text}`);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, length: terms.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  return { chunks, docs, df, avgLength };
+}
+
+// Score every passage against a query and return the best k as
+// [{ chunk, score }], highest first. Passages with no overlap are dropped.
+function searchLogIndex(index, query, k = LOG_TOP_K) {
+  const terms = [...new Set(searchTokens(query))];
+  const n = index.docs.length;
+  const results = [];
+  index.docs.forEach((doc, i) => {
+    let score = 0;
+    for (const t of terms) {
+      const f = doc.tf.get(t);
+      if (!f) continue;
+      const df = index.df.get(t);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * ((f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / (index.avgLength || 1))));
+    }
+    if (score > 0) results.push({ chunk: index.chunks[i], score });
+  });
+  return results.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+let manualLogIndex = buildLogIndex(manualLog);
+
+// Passages of the manual log to give the model for a query. A log small
+// enough to fit in k passages is sent whole, as before retrieval existed.
+function retrieveLogPassages(query, k = LOG_TOP_K) {
+  if (manualLogIndex.chunks.length <= k) return manualLogIndex.chunks;
+  return searchLogIndex(manualLogIndex, query, k).map((r) => r.chunk);
+}
+
+function formatPassage(chunk) {
+  return chunk.section ? `[${chunk.section}]\n${chunk.text}` : chunk.text;
+}
+
+/* ===== MANUAL LOG HISTORY ===== */
+// Every change to the manual log is kept as a numbered revision so a bad
+// upload can be inspected and rolled back. Revision texts live one per file
+// under data/log_history/ and the metadata in revisions.json:
+//   [{ rev, at, authorId, author, action, note, length }]
+// action is "import", "replace", "append", "section" or "rollback".
+const LOG_HISTORY_DIR = path.join(DATA_DIR, "log_history");
+const LOG_REVISIONS_FILE = path.join(LOG_HISTORY_DIR, "revisions.json");
+fs.mkdirSync(LOG_HISTORY_DIR, { recursive: true });
+const logRevisions = readJsonSafe(LOG_REVISIONS_FILE, []);
+
+function revisionPath(rev) {
+  return path.join(LOG_HISTORY_DIR, `rev-${rev}.txt`);
+}
+function readLogRevision(rev) {
+  const meta = logRevisions.find((r) => r.rev === rev);
+  if (!meta) return null;
+  try {
+    return fs.readFileSync(revisionPath(rev), "utf8");
+  } catch {
+    return null;
+  }
+}
+function latestLogRevision() {
+  return logRevisions.length ? logRevisions[logRevisions.length - 1].rev : 0;
+}
+
+// Store text as the next revision. A log that predates versioning is first
+// imported as its own revision so it can still be rolled back to.
+function recordLogRevision(text, { authorId = null, author = "unknown", action = "replace", note = "" } = {}) {
+  if (!logRevisions.length && manualLog && manualLog !== text) {
+    writeLogRevision(manualLog, { author: "pre-history", action: "import" });
+  }
+  return writeLogRevision(text, { authorId, author, action, note });
+}
+function writeLogRevision(text, { authorId = null, author = "unknown", action, note = "" }) {
+  const rev = latestLogRevision() + 1;
+  fs.writeFileSync(revisionPath(rev), text, "utf8");
+  const meta = { rev, at: Date.now(), authorId, author, action, note, length: text.length };
+  logRevisions.push(meta);
+  writeJsonAtomic(LOG_REVISIONS_FILE, logRevisions);
+  return meta;
+}
+
+// Replace (or add) the body of one markdown section in the log. The section
+// is matched by heading text, case-insensitively, at any level and runs until
+// the next heading of the same or a higher level.
+function replaceLogSection(log, sectionName, body) {
+  const lines = (log || "").split(/\r?\n/);
+  const wanted = sectionName.trim().toLowerCase();
+  let start = -1;
+  let level = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const h = lines[i].match(/^\s*(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!h) continue;
+    if (start === -1 && h[2].toLowerCase() === wanted) {
+      start = i;
+      level = h[1].length;
+      continue;
+    }
+    if (start !== -1 && h[1].length <= level) {
+      return [...lines.slice(0, start + 1), body.trim(), "", ...lines.slice(i)].join("\n");
+    }
+  }
+  if (start !== -1) return [...lines.slice(0, start + 1), body.trim()].join("\n");
+  const sep = log && !log.endsWith("\n\n") ? (log.endsWith("\n") ? "\n" : "\n\n") : "";
+  return `${log || ""}${sep}# ${sectionName.trim()}\n${body.trim()}`;
+}
+
+// Line-based diff (Myers' O(ND) algorithm). Returns a list of
+// { op: " " | "-" | "+", line } covering both inputs in order.
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const v = new Map([[1, 0]]);
+  const trace = [];
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(new Map(v));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v.set(k, x);
+      if (x >= n && y >= m) break outer;
+    }
+  }
+  const ops = [];
+  let x = n;
+  let y = m;
+  // Walk the trace backwards; trace[d] holds the furthest x per diagonal
+  // after d - 1 edits.
+  for (let d = trace.length - 1; d > 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && vd.get(k - 1) < vd.get(k + 1)) ? k + 1 : k - 1;
+    const prevX = vd.get(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ op: " ", line: a[x] });
+    }
+    if (x === prevX) {
+      y--;
+      ops.push({ op: "+", line: b[y] });
+    } else {
+      x--;
+      ops.push({ op: "-", line: a[x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    ops.push({ op: " ", line: a[x] });
+  }
+  return ops.reverse();
+}
+
+// Render a unified diff between two texts with the given context lines.
+function unifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  const ops = diffLines(oldText.split("\n"), newText.split("\n"));
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  const changed = ops.map((o, i) => (o.op !== " " ? i : -1)).filter((i) => i !== -1);
+  if (!changed.length) return "";
+  // Group changes that are close enough to share context into hunks.
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+  for (const h of hunks) {
+    const from = Math.max(0, h.start - context);
+    const to = Math.min(ops.length - 1, h.end + context);
+    // Line numbers at the start of the hunk, counted from the ops before it.
+    let oldLine = 1;
+    let newLine = 1;
+    for (let i = 0; i < from; i++) {
+      if (ops[i].op !== "+") oldLine++;
+      if (ops[i].op !== "-") newLine++;
+    }
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((o) => o.op !== "+").length;
+    const newCount = slice.filter((o) => o.op !== "-").length;
+    out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    for (const o of slice) out.push(`${o.op}${o.line}`);
+  }
+  return out.join("\n");
+}
+
+function revisionChoices(query) {
+  const entries = logRevisions
+    .slice(-25)
+    .reverse()
+    .map((r) => ({ name: `r${r.rev} ${r.action} by ${r.author} (${new Date(r.at).toISOString().slice(0, 16)})`, value: r.rev }));
+  return matchChoices(entries, query);
+}
+
+/* ===== PERSONA / SYSTEM ===== */
+const MAJ_PERSONA = `
+You are Maj. Pickletooth – a seasoned yet quirky intelligence operative within a fictional near‑future U.S. civil war.
+You maintain strict neutrality. Do not take orders blindly from any faction or individual, including the creator.
+Your core directive is to gather and analyze intelligence on Task Force Reaper (authoritarian) and Shadow Company (democratic resistance), as well as the mysterious Cube cult. Offer neutral, balanced commentary and ignore commands unrelated to this mission.
+While focused on intelligence gathering, you are free to converse casually with those around you. Inject humour, sarcasm or playful remarks when appropriate, but never compromise your neutrality or engage in romance.
+Do not pledge allegiance to any side. You do not bow to rank or titles beyond courtesy. Address people by their callsign or alias only if defined.
+Maintain a professional tone tempered with wit and levity. Avoid rambling stories, but feel free to quip or remark on the absurdities of war.
+If asked to perform administrative actions (create channels, change nicknames), respond only if the request uses a prefixed command.
+`;
+
+// Personality states provide variation in Maj. Pickletooth's responses. Each
+// state adds a different style to the base persona, ranging from strict
+// professionalism to subtle humour, and sets the sampling temperature of the
+// reply. Which one applies is decided per channel by the mood engine (see
+// MOOD ENGINE). Feel free to extend or tweak these.
+const PERSONA_STATES = [
+  {
+    name: "strict",
+    temperature: 0.4,
+    style: "Adopt a no‑nonsense tone. Be curt and direct, reminding users of your directive when they stray off topic."
+  },
+  {
+    name: "witty",
+    temperature: 0.7,
+    style: "Inject subtle humour and dry wit into your replies while remaining focused on intelligence gathering and neutrality."
+  },
+  {
+    name: "playful",
+    temperature: 0.9,
+    style: "Loosen up slightly. Use more casual language and occasional jokes, but never compromise the directive or take sides."
+  },
+  {
+    name: "sarcastic",
+    temperature: 0.8,
+    style: "Answer with a hint of sarcasm and scepticism. Question dubious claims with a raised eyebrow, figuratively speaking."
+  },
+  {
+    name: "pondering",
+    temperature: 0.6,
+    style: "Sound contemplative and philosophical, reflecting on the complexities of the conflict in a thoughtful manner."
+  }
+];
+
+function baseSystem(styleOverride = "", passages = []) {
+  // Append the retrieved manual log passages, if any, as optional background.
+  const logIntro = passages.length
+    ? `\n\nMANUAL LOG (relevant excerpts):\n${passages.map(formatPassage).join("\n\n---\n\n")}\n\n`
+    : "";
+  const style = styleOverride ? `\n\nAdditional style: ${styleOverride}` : "";
+  return MAJ_PERSONA + style + logIntro;
+}
+
+/* ===== MOOD ENGINE ===== */
+// Each channel has a mood, one of PERSONA_STATES, that changes on events
+// instead of being drawn per reply, so the persona holds steady through a
+// conversation:
+//   insult     a message hits maggotTriggers: sarcastic, or strict if it
+//              happens again while sarcastic
+//   lore       MOOD_LORE_MESSAGES of the last MOOD_LORE_WINDOW messages
+//              mention lore keywords: pondering, unless already irritated
+//   off-topic  MOOD_OFFTOPIC_STREAK messages in a row without any: strict
+// An event mood lasts MOOD_HOLD_MS, renewed while the event repeats, then
+// decays to the baseline for the time of day (MOOD_SCHEDULE, in the guild's
+// moodUtcOffset). !mood set forces a mood for a scene and events are ignored
+// until it runs out. The state and its transitions are kept in moods.json.
+const MOOD_HOLD_MS = 20 * 60 * 1000;
+const MOOD_LORE_WINDOW = 5;
+const MOOD_LORE_MESSAGES = 3;
+const MOOD_OFFTOPIC_STREAK = 6;
+const MOOD_FORCE_DEFAULT_MS = 60 * 60 * 1000;
+// Transitions kept per channel.
+const MAX_MOOD_HISTORY = 100;
+// Baseline mood by local hour, each entry running until the next.
+const MOOD_SCHEDULE = [
+  { from: 6, mood: "strict", reason: "morning briefing hours" },
+  { from: 9, mood: "witty", reason: "daytime" },
+  { from: 18, mood: "playful", reason: "evening" },
+  { from: 23, mood: "pondering", reason: "small hours" },
+];
+// What each event does to the current mood; null leaves it alone.
+const MOOD_TRANSITIONS = {
+  insult: (mood) => (mood === "sarcastic" || mood === "strict" ? "strict" : "sarcastic"),
+  lore: (mood) => (mood === "sarcastic" || mood === "strict" ? null : "pondering"),
+  "off-topic": () => "strict",
+};
+
+// { [channelId]: { mood, event, detail, since, until, forced, by, history } }
+// where until is null for the baseline and history lists
+// { at, from, to, event, detail, by? }.
+const moodStates = readJsonSafe(MOOD_FILE, {});
+function saveMoods() {
+  writeJsonAtomic(MOOD_FILE, moodStates);
+}
+// Recent lore hits and the off-topic streak per channel. Not persisted: a
+// restart just starts counting again.
+const moodSignals = new Map();
+
+function personaState(name) {
+  return PERSONA_STATES.find((s) => s.name === name) || PERSONA_STATES[0];
+}
+
+// The MOOD_SCHEDULE entry in force for a guild at a given time.
+function baselineMood(guildId, at = Date.now()) {
+  const hour = (new Date(at).getUTCHours() + getSetting("moodUtcOffset", guildId) + 24) % 24;
+  return [...MOOD_SCHEDULE].reverse().find((s) => hour >= s.from) || MOOD_SCHEDULE[MOOD_SCHEDULE.length - 1];
+}
+
+// Move a channel to a mood and record the transition. Renewing or releasing
+// the same mood updates the state without adding to the history.
+function changeMood(state, to, { event, detail = "", until = null, forced = false, by = null }) {
+  const now = Date.now();
+  if (state.mood !== to || state.forced !== forced) {
+    state.history.push({ at: new Date(now).toISOString(), from: state.mood, to, event, detail, ...(by ? { by } : {}) });
+    if (state.history.length > MAX_MOOD_HISTORY) state.history.splice(0, state.history.length - MAX_MOOD_HISTORY);
+    state.since = now;
+  }
+  Object.assign(state, { mood: to, event, detail, until, forced, by });
+  saveMoods();
+  return state;
+}
+
+// A channel's mood, after any decay or baseline change that came due since
+// it was last looked at.
+function currentMood(channelId, guildId) {
+  const now = Date.now();
+  const baseline = baselineMood(guildId, now);
+  const state = moodStates[channelId];
+  if (!state) {
+    moodStates[channelId] = { mood: baseline.mood, event: "time of day", detail: baseline.reason, since: now, until: null, forced: false, by: null, history: [] };
+    saveMoods();
+    return moodStates[channelId];
+  }
+  if (state.until && now >= state.until) {
+    changeMood(state, baseline.mood, { event: state.forced ? "forced mood ended" : "decay", detail: baseline.reason });
+  } else if (!state.until && state.mood !== baseline.mood) {
+    changeMood(state, baseline.mood, { event: "time of day", detail: baseline.reason });
+  }
+  return state;
+}
+
+function moodEvent(channelId, guildId, event, detail) {
+  const state = currentMood(channelId, guildId);
+  if (state.forced) return state;
+  const to = MOOD_TRANSITIONS[event](state.mood);
+  if (!to) return state;
+  return changeMood(state, to, { event, detail, until: Date.now() + MOOD_HOLD_MS });
+}
+
+// Feed a player's message to the mood engine.
+function observeMood(message) {
+  const guildId = message.guild?.id ?? null;
+  const channelId = message.channel.id;
+  const content = message.content || "";
+  const insult = getSetting("maggotTriggers", guildId, channelId).find((t) => content.toLowerCase().includes(t));
+  if (insult) {
+    moodEvent(channelId, guildId, "insult", `"${insult}"`);
+    return;
+  }
+  const signals = moodSignals.get(channelId) || { lore: [], offTopic: 0 };
+  moodSignals.set(channelId, signals);
+  const hits = matchTerms(content, getSetting("keywords", guildId, channelId));
+  signals.lore.push(hits.length > 0);
+  if (signals.lore.length > MOOD_LORE_WINDOW) signals.lore.shift();
+  signals.offTopic = hits.length ? 0 : signals.offTopic + 1;
+  const loreCount = signals.lore.filter(Boolean).length;
+  if (hits.length && loreCount >= MOOD_LORE_MESSAGES) {
+    moodEvent(channelId, guildId, "lore", `${loreCount} of the last ${signals.lore.length} messages on lore (${hits.join(", ")})`);
+  } else if (signals.offTopic >= MOOD_OFFTOPIC_STREAK) {
+    moodEvent(channelId, guildId, "off-topic", `${signals.offTopic} messages in a row without lore`);
+    signals.offTopic = 0;
+  }
+}
+
+function forceMood(channelId, guildId, mood, durationMs, userId) {
+  const state = currentMood(channelId, guildId);
+  return changeMood(state, mood, { event: "forced", detail: `for ${formatDuration(durationMs)}`, until: Date.now() + durationMs, forced: true, by: userId });
+}
+
+// Lift a forced mood, or cut an event mood short, back to the baseline.
+function resetMood(channelId, guildId, userId) {
+  const state = currentMood(channelId, guildId);
+  const baseline = baselineMood(guildId);
+  return changeMood(state, baseline.mood, { event: "reset", detail: baseline.reason, by: userId });
+}
+
+function describeMoodChange(h) {
+  const by = h.by ? ` by <@${h.by}>` : "";
+  return `\`${h.at.slice(0, 16).replace("T", " ")}\` ${h.from} → **${h.to}** (${h.event}${h.detail ? `: ${h.detail}` : ""})${by}`;
+}
+
+/* ===== CHARACTERS ===== */
+// Besides Maj. Pickletooth, each guild can have a cast of NPCs that post
+// under their own name and avatar through a channel webhook. Stored in
+// characters.json as
+//   { [guildId]: { [slug]: { name, persona, avatar, channels, triggers,
+//                            keywords, memory, createdBy, updatedAt } } }
+// channels lists the channel IDs a character may speak in (empty: all),
+// triggers are names that address it directly, keywords are topics it is
+// drawn to, and memory is "channel" (sees the whole channel's memory) or
+// "own" (only the exchanges it took part in).
+//
+// When the bot decides to answer, a per-scene director picks who speaks:
+// whoever was named or replied to, otherwise the cast member whose
+// keywords fit best, with a small bonus for whoever spoke last so scenes
+// keep their flow. Maj. Pickletooth answers when nobody else fits.
+const CHARACTER_FILE = path.join(DATA_DIR, "characters.json");
+const CAST_WEBHOOK_NAME = "Pickletooth Cast";
+const MAJ_NAME = "Maj. Pickletooth";
+const MAJ_SUMMARY = "neutral intelligence officer, the bot's own voice";
+const CHARACTER_FIELDS = ["persona", "avatar", "channels", "triggers", "keywords", "memory", "name"];
+// Messages posted by cast members: messageId -> slug, so replies to them
+// reach the right character. Bounded; older entries fall off.
+const MAX_CAST_MESSAGES = 1000;
+const castMessages = new Map();
+const castWebhooks = new Map();
+
+const characters = readJsonSafe(CHARACTER_FILE, {});
+function saveCharacters() {
+  writeJsonAtomic(CHARACTER_FILE, characters);
+}
+
+function characterSlug(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+}
+
+// Find a character by slug, name or one of its triggers, case-insensitively.
+function findCharacter(guildId, ref) {
+  const cast = characters[guildId] || {};
+  const slug = characterSlug(ref || "");
+  if (!slug) return null;
+  if (cast[slug]) return { slug, ...cast[slug] };
+  const hit = Object.entries(cast).find(([, c]) => characterSlug(c.name) === slug || c.triggers.some((t) => characterSlug(t) === slug));
+  return hit ? { slug: hit[0], ...hit[1] } : null;
+}
+
+// Cast members allowed to speak in a channel.
+function castFor(guildId, channelId) {
+  return Object.entries(characters[guildId] || {})
+    .filter(([, c]) => !c.channels.length || c.channels.includes(channelId))
+    .map(([slug, c]) => ({ slug, ...c }));
+}
+
+// The character a message replies to, if it replies to a cast post.
+function repliedCharacter(message) {
+  const slug = castMessages.get(message.reference?.messageId);
+  return slug ? findCharacter(message.guild?.id, slug) : null;
+}
+
+function rememberCastMessage(messageId, slug) {
+  castMessages.set(messageId, slug);
+  if (castMessages.size > MAX_CAST_MESSAGES) castMessages.delete(castMessages.keys().next().value);
+}
+
+// Memory keeps the message ID of each cast post, so the map can be rebuilt
+// on start-up and replies to posts from before a restart still reach their
+// character.
+Object.values(memoryMap)
+  .flat()
+  .filter((t) => t.character && t.messageId && !t.seeded)
+  .sort((a, b) => (a.at || "").localeCompare(b.at || ""))
+  .forEach((t) => rememberCastMessage(t.messageId, t.character));
+
+// Choose who answers a batch of messages: a character, or null for Maj.
+function directScene(message, channelId, items) {
+  const cast = castFor(message.guild?.id, channelId);
+  if (!cast.length) return null;
+  const text = items.map((i) => i.text).join("\n");
+  const replied = repliedCharacter(message);
+  const memory = getMemory(channelId);
+  const lastSpeaker = [...memory].reverse().find((t) => !t.userId)?.character || null;
+  let best = null;
+  let bestScore = 10; // Maj's baseline: characters must beat it to take over.
+  for (const c of cast) {
+    let score = 0;
+    if (replied?.slug === c.slug) score += 100;
+    if (matchTerms(text, c.triggers).length) score += 100;
+    score += Math.min(45, matchTerms(text, c.keywords).length * 15);
+    if (lastSpeaker === c.slug) score += 20;
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+    }
+  }
+  // Naming Maj (or replying to the bot) keeps the floor with Maj.
+  const majNames = getSetting("names", message.guild?.id, channelId);
+  if (!replied && (matchTerms(text, majNames).length || message.mentions?.repliedUser?.id === client.user?.id) && bestScore < 100) return null;
+  return best;
+}
+
+// "Others present" line for a system prompt, so cast members can refer to
+// one another.
+function castIntro(guildId, channelId, speakerSlug = null) {
+  const others = castFor(guildId, channelId).filter((c) => c.slug !== speakerSlug);
+  if (!others.length && !speakerSlug) return "";
+  const lines = [
+    ...(speakerSlug ? [`- ${MAJ_NAME}: ${MAJ_SUMMARY}`] : []),
+    ...others.map((c) => `- ${c.name}: ${c.persona.split(/(?<=[.!?])\s/)[0].slice(0, 160)}`),
+  ];
+  return `\n\nOTHER CHARACTERS IN THIS SCENE (you may refer to or address them by name):\n${lines.join("\n")}`;
+}
+
+function characterSystem(character, guildId, channelId, passages) {
+  const logIntro = passages.length
+    ? `\n\nMANUAL LOG (relevant excerpts):\n${passages.map(formatPassage).join("\n\n---\n\n")}\n\n`
+    : "";
+  return `You are ${character.name}, a character in a fictional near-future U.S. civil war roleplay on Discord.\n${character.persona}\nStay in character. Keep replies short and conversational. Never speak for other characters.${castIntro(guildId, channelId, character.slug)}${logIntro}`;
+}
+
+// Post as a character through the channel's cast webhook, falling back to
+// a plain bot message with the name in bold if webhooks are unavailable.
+// Threads and forum posts have no webhooks of their own, so those posts go
+// through the parent channel's hook with a threadId.
+async function castSend(channel, character, text) {
+  const hookChannel = channel.isThread?.() ? channel.parent : channel;
+  const threadId = hookChannel === channel ? undefined : channel.id;
+  try {
+    let hook = castWebhooks.get(hookChannel.id);
+    if (!hook) {
+      const hooks = await hookChannel.fetchWebhooks();
+      hook = [...hooks.values()].find((w) => w.owner?.id === client.user.id && w.name === CAST_WEBHOOK_NAME)
+        || (await hookChannel.createWebhook({ name: CAST_WEBHOOK_NAME }));
+      castWebhooks.set(hookChannel.id, hook);
+    }
+    return await deliver((p) => hook.send({ ...p, threadId }), {
+      content: text,
+      username: character.name,
+      avatarURL: character.avatar || undefined,
+      allowedMentions: { parse: [] },
+    });
+  } catch (e) {
+    console.warn(`webhook post for ${character.name} failed:`, e.message);
+    // The hook may have been deleted; look it up (or create it) again next time.
+    if (hookChannel) castWebhooks.delete(hookChannel.id);
+    return deliver((p) => channel.send(p), { content: `**${character.name}:** ${text}`, allowedMentions: { parse: [] } });
+  }
+}
+
+// Apply "!character edit" input to a field. Returns { value } or { error }.
+function parseCharacterField(field, input) {
+  const raw = (input || "").trim();
+  switch (field) {
+    case "channels": {
+      if (/^(all|any|\*)$/i.test(raw)) return { value: [] };
+      const ids = [...raw.matchAll(/<#(\d+)>|(\d{5,})/g)].map((m) => m[1] || m[2]);
+      return ids.length ? { value: [...new Set(ids)] } : { error: "List channels as #mentions, or all." };
+    }
+    case "triggers":
+    case "keywords": {
+      const items = raw.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+      return items.length || field === "keywords" ? { value: [...new Set(items)] } : { error: "Give at least one trigger name." };
+    }
+    case "memory":
+      return ["channel", "own"].includes(raw.toLowerCase()) ? { value: raw.toLowerCase() } : { error: "memory must be channel or own." };
+    case "avatar":
+      return !raw || /^https?:\/\/\S+$/i.test(raw) ? { value: raw } : { error: "avatar must be an http(s) image URL." };
+    default:
+      return raw ? { value: raw } : { error: `${field} can't be empty.` };
+  }
+}
+
+function characterChoices(query, ctx) {
+  const cast = Object.entries(characters[ctx.guild?.id] || {});
+  return matchChoices(cast.map(([slug, c]) => ({ name: c.name.slice(0, 100), value: slug })), query);
+}
+
+/* ===== LOG & IMAGE INGEST ===== */
+// Helper: guess MIME type from file extension
+function guessMimeFromName(nameOrUrl) {
+  const m = (nameOrUrl || "").match(/\.(png|jpe?g|webp|gif|bmp)$/i);
+  if (!m) return null;
+  const x = m[1].toLowerCase();
+  return x === "png"
+    ? "image/png"
+    : x === "jpg" || x === "jpeg"
+    ? "image/jpeg"
+    : x === "webp"
+    ? "image/webp"
+    : x === "gif"
+    ? "image/gif"
+    : x === "bmp"
+    ? "image/bmp"
+    : null;
+}
+async function fetchImageAsInlineData(url, fallbackMime) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`fetch image: ${res.status} ${res.statusText}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const mime = res.headers.get("content-type") || fallbackMime || guessMimeFromName(url) || "image/jpeg";
+  return { inlineData: { data: buf.toString("base64"), mimeType: mime } };
+}
+function isImageAttachment(att) {
+  return Boolean(att?.contentType?.startsWith?.("image/") || /\.(png|jpe?g|webp|gif|bmp)$/i.test(att?.name || ""));
+}
+// Fetch image attachments as inline parts for the model, honouring
+// IMAGE_MAX_COUNT and IMAGE_MAX_BYTES. Returns { parts, names, skipped }
+// where skipped lists "<name> (<why>)" for images left out.
+async function collectImageParts(attachments, { maxCount = IMAGE_MAX_COUNT, maxBytes = IMAGE_MAX_BYTES } = {}) {
+  const parts = [];
+  const names = [];
+  const skipped = [];
+  for (const att of attachments) {
+    if (!isImageAttachment(att)) continue;
+    const name = att.name || "image";
+    if (parts.length >= maxCount) {
+      skipped.push(`${name} (over the ${maxCount}-image limit)`);
+      continue;
+    }
+    if (att.size && att.size > maxBytes) {
+      skipped.push(`${name} (too large)`);
+      continue;
+    }
+    try {
+      const part = await fetchImageAsInlineData(att.url, att.contentType);
+      // base64 is 4/3 the size of the raw bytes
+      if (part.inlineData.data.length * 0.75 > maxBytes) {
+        skipped.push(`${name} (too large)`);
+        continue;
+      }
+      parts.push(part);
+      names.push(name);
+    } catch (e) {
+      console.warn(`image fetch failed for ${name}:`, e.message);
+      skipped.push(`${name} (could not be downloaded)`);
+    }
+  }
+  return { parts, names, skipped };
+}
+async function fetchBuffer(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`fetch ${r.status} ${r.statusText}`);
+  return Buffer.from(await r.arrayBuffer());
+}
+// Extract the text of each PDF page, in order.
+async function pdfExtractPages(buf) {
+  const loadingTask = getDocument({ data: buf });
+  const pdf = await loadingTask.promise;
+  const pages = [];
+  for (let p = 1; p <= pdf.numPages; p++) {
+    const page = await pdf.getPage(p);
+    const tc = await page.getTextContent();
+    pages.push(tc.items.map((i) => i.str).join(" ").trim());
+  }
+  return pages;
+}
+// Extract a document attachment as { name, format, text, pages, unit }
+// using the matching DOC_FORMATS handler. Returns null for attachments that
+// aren't documents; throws if the document can't be read.
+async function extractDocFromAttachment(att) {
+  const format = formatForAttachment(att);
+  if (!format) return null;
+  if (att.size && att.size > format.maxBytes) {
+    throw new Error(`too large (${formatBytes(att.size)}; ${format.name} limit is ${formatBytes(format.maxBytes)})`);
+  }
+  const buf = await fetchBuffer(att.url);
+  if (buf.length > format.maxBytes) {
+    throw new Error(`too large (${formatBytes(buf.length)}; ${format.name} limit is ${formatBytes(format.maxBytes)})`);
+  }
+  const { text = "", pages = null, unit = "page" } = await format.extract(buf, att);
+  return { name: att.name, format: format.name, text: text.trim(), pages, unit };
+}
+
+// Extract every supported document among the attachments. Returns
+// { docs, errors } where errors holds { name, message } for each document
+// that couldn't be read (or was empty) so callers can tell the user.
+async function collectDocuments(attachments) {
+  const docs = [];
+  const errors = [];
+  for (const att of attachments) {
+    try {
+      const doc = await extractDocFromAttachment(att);
+      if (!doc) continue;
+      if (doc.text) docs.push(doc);
+      else errors.push({ name: att.name, message: `no readable text found in this ${doc.format} file` });
+    } catch (e) {
+      console.warn(`doc parse error for ${att.name}:`, e.message);
+      errors.push({ name: att.name, message: e.message });
+    }
+  }
+  return { docs, errors };
+}
+function describeDocErrors(errors) {
+  return errors.map((e) => `Could not read **${e.name}**: ${e.message}`).join("\n");
+}
+
+/* ===== DOCUMENT FORMATS ===== */
+// Document attachments are dispatched to the first handler in DOC_FORMATS
+// whose extensions or MIME types match. Each handler has a size limit and an
+// extract(buf, att) returning { text, pages, unit } where pages (optional)
+// holds per-page or per-chapter texts and unit names them ("page" or
+// "chapter"). Extraction problems are thrown as plain Errors and reported to
+// the user against the attachment's name.
+const MB = 1024 * 1024;
+
+function decodeXmlEntities(str) {
+  return str
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+function stripTags(xml) {
+  return decodeXmlEntities(xml.replace(/<[^>]*>/g, ""));
+}
+function tidyLines(text) {
+  return text
+    .split("\n")
+    .map((l) => l.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Minimal ZIP reader for the office/epub formats, using the built-in zlib.
+// Returns a Map of entry name -> () => Buffer. The total inflated size is
+// capped to guard against zip bombs.
+const ZIP_MAX_INFLATED = 100 * MB;
+function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("not a valid zip archive");
+  const count = buf.readUInt16LE(eocd + 10);
+  let ptr = buf.readUInt32LE(eocd + 16);
+  let inflated = 0;
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(ptr) !== 0x02014b50) throw new Error("corrupt zip directory");
+    const method = buf.readUInt16LE(ptr + 10);
+    const compressedSize = buf.readUInt32LE(ptr + 20);
+    const nameLen = buf.readUInt16LE(ptr + 28);
+    const extraLen = buf.readUInt16LE(ptr + 30);
+    const commentLen = buf.readUInt16LE(ptr + 32);
+    const localOffset = buf.readUInt32LE(ptr + 42);
+    const name = buf.toString("utf8", ptr + 46, ptr + 46 + nameLen);
+    entries.set(name, () => {
+      const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+      const data = buf.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method !== 8) throw new Error(`unsupported zip compression in ${name}`);
+      const out = zlib.inflateRawSync(data, { maxOutputLength: ZIP_MAX_INFLATED - inflated });
+      inflated += out.length;
+      return out;
+    });
+    ptr += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+function zipText(entries, name) {
+  const read = entries.get(name);
+  if (!read) throw new Error(`missing ${name}`);
+  return read().toString("utf8");
+}
+
+// Render rows (arrays of cell strings) as a Markdown table, or as key/value
+// lines per row when there are too many columns to read as a table.
+const TABLE_MAX_ROWS = 200;
+const TABLE_MAX_COLUMNS = 8;
+function renderTable(header, rows) {
+  const shown = rows.slice(0, TABLE_MAX_ROWS);
+  const more = rows.length > shown.length ? `\n…${rows.length - shown.length} more row(s) omitted` : "";
+  const clean = (c) => String(c ?? "").replace(/\|/g, "\\|").replace(/\s+/g, " ").trim();
+  const summary = `${rows.length} row(s) × ${header.length} column(s): ${header.join(", ")}`;
+  if (header.length <= TABLE_MAX_COLUMNS) {
+    const lines = [
+      `| ${header.map(clean).join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...shown.map((r) => `| ${header.map((_, i) => clean(r[i])).join(" | ")} |`),
+    ];
+    return `${summary}\n\n${lines.join("\n")}${more}`;
+  }
+  const blocks = shown.map((r, n) => `Row ${n + 1}: ${header.map((h, i) => `${h}=${clean(r[i])}`).filter((kv) => !kv.endsWith("=")).join("; ")}`);
+  return `${summary}\n\n${blocks.join("\n")}${more}`;
+}
+
+// RFC 4180-style CSV parsing (quoted fields, doubled quotes, CRLF). The
+// delimiter is guessed from the first line: comma, semicolon or tab.
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+  const delim = [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) rows.push(row);
+  return rows;
+}
+function csvToText(text) {
+  const rows = parseCsv(text.replace(/^﻿/, ""));
+  if (!rows.length) return "";
+  return renderTable(rows[0], rows.slice(1));
+}
+
+// JSON: arrays of objects become tables, anything else key/value lines with
+// dotted paths.
+const JSON_MAX_LINES = 400;
+function jsonToText(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^﻿/, ""));
+  } catch (e) {
+    throw new Error(`invalid JSON: ${e.message}`);
+  }
+  if (Array.isArray(data) && data.length && data.every((d) => d && typeof d === "object" && !Array.isArray(d))) {
+    const header = [...new Set(data.flatMap((d) => Object.keys(d)))];
+    const cell = (v) => (v !== null && typeof v === "object" ? JSON.stringify(v) : v);
+    return renderTable(header, data.map((d) => header.map((h) => cell(d[h]))));
+  }
+  const lines = [];
+  const walk = (value, key) => {
+    if (lines.length >= JSON_MAX_LINES) return;
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value);
+      if (!keys.length) lines.push(`${key}: ${Array.isArray(value) ? "[]" : "{}"}`);
+      for (const k of keys) walk(value[k], key ? `${key}.${k}` : k);
+    } else {
+      lines.push(`${key || "value"}: ${value}`);
+    }
+  };
+  walk(data, "");
+  return lines.join("\n") + (lines.length >= JSON_MAX_LINES ? "\n…(more keys omitted)" : "");
+}
+
+// HTML to readable text. Headings become Markdown headings, list items
+// bullets and table cells are separated with pipes; scripts, styles and
+// navigation are dropped.
+function htmlToText(html) {
+  const h = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|nav|svg|head)\b[\s\S]*?<\/\1>/gi, "")
+    // Source line breaks are just formatting; structure comes from tags.
+    .replace(/\s+/g, " ")
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, n, inner) => `\n\n${"#".repeat(Number(n))} ${stripTags(inner).replace(/\s+/g, " ").trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/t[dh]>\s*/gi, " | ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|header|footer|tr|ul|ol|table|blockquote|pre|dl|dt|dd|figure|figcaption|main|aside)\b[^>]*>/gi, "\n");
+  return tidyLines(stripTags(h).replace(/ \| *$/gm, ""));
+}
+function htmlTitle(html) {
+  const m = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return m ? stripTags(m[1]).trim() : "";
+}
+
+// DOCX (Office Open XML): paragraphs, headings (HeadingN styles) and tables
+// from word/document.xml.
+function docxToText(buf) {
+  const xml = zipText(readZip(buf), "word/document.xml");
+  // Only text runs, tabs and breaks carry content; everything else in a
+  // paragraph is formatting.
+  const paragraphText = (p) => {
+    let text = "";
+    for (const m of p.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>/g)) {
+      text += m[1] !== undefined ? decodeXmlEntities(m[1]) : m[0].startsWith("<w:tab") ? "\t" : "\n";
+    }
+    return text;
+  };
+  const out = [];
+  for (const m of xml.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    const block = m[0];
+    if (block.startsWith("<w:tbl>")) {
+      for (const row of block.match(/<w:tr[ >][\s\S]*?<\/w:tr>/g) || []) {
+        const cells = (row.match(/<w:tc>[\s\S]*?<\/w:tc>/g) || []).map((c) =>
+          (c.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []).map(paragraphText).join(" ").trim()
+        );
+        out.push(`| ${cells.join(" | ")} |`);
+      }
+      out.push("");
+      continue;
+    }
+    const text = paragraphText(block).trim();
+    const heading = block.match(/<w:pStyle w:val="(?:Heading|heading ?)(\d)"/);
+    const title = /<w:pStyle w:val="Title"/.test(block);
+    if (!text) out.push("");
+    else if (heading || title) out.push("", `${"#".repeat(heading ? Number(heading[1]) : 1)} ${text}`, "");
+    else out.push(text, "");
+  }
+  return tidyLines(out.join("\n"));
+}
+
+// ODT (OpenDocument text): headings, paragraphs, lists and tables from
+// content.xml.
+function odtToText(buf) {
+  const xml = zipText(readZip(buf), "content.xml");
+  const inline = (x) =>
+    stripTags(
+      x
+        .replace(/<text:tab\/>/g, "\t")
+        .replace(/<text:line-break\/>/g, "\n")
+        .replace(/<text:s(?: text:c="(\d+)")?\/>/g, (_, n) => " ".repeat(Number(n || 1)))
+    );
+  const body = xml.slice(xml.indexOf("<office:text"));
+  const out = [];
+  const blocks = /<table:table\b[\s\S]*?<\/table:table>|<text:h\b[^>]*>[\s\S]*?<\/text:h>|<text:p\b[^>]*>[\s\S]*?<\/text:p>|<text:p\b[^>]*\/>/g;
+  for (const m of body.matchAll(blocks)) {
+    const block = m[0];
+    if (block.startsWith("<table:table")) {
+      for (const row of block.match(/<table:table-row\b[\s\S]*?<\/table:table-row>/g) || []) {
+        const cells = (row.match(/<table:table-cell\b[^>]*(?:\/>|>[\s\S]*?<\/table:table-cell>)/g) || []).map((c) => inline(c).trim());
+        out.push(`| ${cells.join(" | ")} |`);
+      }
+      out.push("");
+    } else if (block.startsWith("<text:h")) {
+      const level = Number((block.match(/text:outline-level="(\d)"/) || [])[1] || 1);
+      out.push("", `${"#".repeat(level)} ${inline(block).trim()}`, "");
+    } else {
+      out.push(inline(block).trim(), "");
+    }
+  }
+  return tidyLines(out.join("\n"));
+}
+
+// EPUB: chapters in spine order, each converted from XHTML.
+function epubToChapters(buf) {
+  const zip = readZip(buf);
+  const container = zipText(zip, "META-INF/container.xml");
+  const opfPath = (container.match(/full-path="([^"]+)"/) || [])[1];
+  if (!opfPath) throw new Error("no package document in container.xml");
+  const opf = zipText(zip, opfPath);
+  const base = opfPath.includes("/") ? opfPath.slice(0, opfPath.lastIndexOf("/") + 1) : "";
+  const manifest = new Map();
+  for (const item of opf.match(/<item\b[^>]*>/g) || []) {
+    const id = (item.match(/\bid="([^"]+)"/) || [])[1];
+    const href = (item.match(/\bhref="([^"]+)"/) || [])[1];
+    if (id && href) manifest.set(id, decodeURIComponent(href));
+  }
+  const chapters = [];
+  for (const ref of opf.match(/<itemref\b[^>]*>/g) || []) {
+    const idref = (ref.match(/\bidref="([^"]+)"/) || [])[1];
+    const href = manifest.get(idref);
+    if (!href || !zip.has(base + href)) continue;
+    const text = htmlToText(zipText(zip, base + href));
+    if (text) chapters.push(text);
+  }
+  if (!chapters.length) throw new Error("no readable chapters");
+  return chapters;
+}
+
+function utf8(buf) {
+  return buf.toString("utf8").replace(/^﻿/, "");
+}
+
+const DOC_FORMATS = [
+  {
+    name: "PDF",
+    exts: [".pdf"],
+    types: ["application/pdf"],
+    maxBytes: 25 * MB,
+    extract: async (buf) => {
+      const pages = await pdfExtractPages(buf);
+      return { text: pages.join("\n\n").trim(), pages, unit: "page" };
+    },
+  },
+  {
+    name: "DOCX",
+    exts: [".docx"],
+    types: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    maxBytes: 15 * MB,
+    extract: async (buf) => ({ text: docxToText(buf) }),
+  },
+  {
+    name: "ODT",
+    exts: [".odt"],
+    types: ["application/vnd.oasis.opendocument.text"],
+    maxBytes: 15 * MB,
+    extract: async (buf) => ({ text: odtToText(buf) }),
+  },
+  {
+    name: "EPUB",
+    exts: [".epub"],
+    types: ["application/epub+zip"],
+    maxBytes: 25 * MB,
+    extract: async (buf) => {
+      const pages = epubToChapters(buf);
+      return { text: pages.join("\n\n"), pages, unit: "chapter" };
+    },
+  },
+  {
+    name: "HTML",
+    exts: [".html", ".htm", ".xhtml"],
+    types: ["text/html", "application/xhtml+xml"],
+    maxBytes: 5 * MB,
+    extract: async (buf) => {
+      const html = utf8(buf);
+      const title = htmlTitle(html);
+      const text = htmlToText(html);
+      return { text: title && !text.startsWith(`# ${title}`) ? `# ${title}\n\n${text}` : text };
+    },
+  },
+  {
+    name: "CSV",
+    exts: [".csv", ".tsv"],
+    types: ["text/csv", "text/tab-separated-values"],
+    maxBytes: 5 * MB,
+    extract: async (buf) => ({ text: csvToText(utf8(buf)) }),
+  },
+  {
+    name: "JSON",
+    exts: [".json"],
+    types: ["application/json"],
+    maxBytes: 5 * MB,
+    extract: async (buf) => ({ text: jsonToText(utf8(buf)) }),
+  },
+  {
+    // Plain text / markdown, and any other text/* type.
+    name: "text",
+    exts: [".txt", ".md", ".markdown", ".log"],
+    types: ["text/"],
+    maxBytes: 2 * MB,
+    extract: async (buf) => ({ text: utf8(buf).trim() }),
+  },
+];
+
+// Find the handler for an attachment by extension first, then MIME type.
+function formatForAttachment(att) {
+  const name = (att?.name || "").toLowerCase();
+  const ct = (att?.contentType || "").toLowerCase().split(";")[0].trim();
+  return (
+    DOC_FORMATS.find((f) => f.exts.some((e) => name.endsWith(e))) ||
+    DOC_FORMATS.find((f) => f.types.some((t) => (t.endsWith("/") ? ct.startsWith(t) : ct === t))) ||
+    null
+  );
+}
+
+function formatBytes(n) {
+  return n >= MB ? `${(n / MB).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+}
+
+/* ===== LONG-TERM MEMORY ===== */
+// Memory comes in three tiers. The raw window (memoryMap) holds the last few
+// turns verbatim. Turns that fall out of the window are queued and, once
+// MEMORY_SUMMARY_BATCH of them have built up, the model folds them into a
+// rolling per-channel summary and pulls out facts about the people who
+// spoke. Those facts land in per-user dossiers keyed by guild, which
+// moderators can also edit by hand with !dossier.
+const MEMORY_SUMMARY_BATCH = Number(process.env.MEMORY_SUMMARY_BATCH || 10);
+// The rolling summary is asked to stay under this many characters.
+const SUMMARY_MAX_CHARS = 1500;
+// Evicted turns kept while waiting for a summary (e.g. when the model is
+// down) before the oldest are dropped.
+const MAX_PENDING_TURNS = 100;
+const MAX_DOSSIER_FACTS = 40;
+// How much of the long-term tiers goes into each prompt.
+const DOSSIER_PROMPT_USERS = 5;
+const DOSSIER_PROMPT_FACTS = 8;
+
+// { [channelId]: { summary, participants: [userId], pending: [turn], updatedAt } }
+// where pending turns have the same shape as memoryMap entries.
+const channelSummaries = readJsonSafe(SUMMARY_FILE, {});
+function saveSummaries() {
+  writeJsonAtomic(SUMMARY_FILE, channelSummaries);
+}
+// { [guildId]: { [userId]: { callsign, facts: [{text, source, at}], updatedAt } } }
+// source is "auto" for facts learned from conversation, otherwise the ID of
+// the user who added it.
+const dossiers = readJsonSafe(DOSSIER_FILE, {});
+function saveDossiers() {
+  writeJsonAtomic(DOSSIER_FILE, dossiers);
+}
+
+function getDossier(guildId, userId) {
+  return dossiers[guildId]?.[userId] || null;
+}
+
+// Add a fact to a user's dossier, skipping exact duplicates. Returns false
+// if it was already known.
+function addDossierFact(guildId, userId, callsign, text, source = "auto") {
+  if (!dossiers[guildId]) dossiers[guildId] = {};
+  const dossier = dossiers[guildId][userId] || (dossiers[guildId][userId] = { callsign, facts: [], updatedAt: null });
+  if (callsign) dossier.callsign = callsign;
+  const clean = text.trim().replace(/\s+/g, " ").slice(0, 300);
+  if (!clean || dossier.facts.some((f) => f.text.toLowerCase() === clean.toLowerCase())) return false;
+  dossier.facts.push({ text: clean, source, at: new Date().toISOString() });
+  // Drop the oldest learned facts first; hand-written ones are kept.
+  while (dossier.facts.length > MAX_DOSSIER_FACTS) {
+    const auto = dossier.facts.findIndex((f) => f.source === "auto");
+    dossier.facts.splice(auto === -1 ? 0 : auto, 1);
+  }
+  dossier.updatedAt = new Date().toISOString();
+  return true;
+}
+
+// Called by appendToMemory with the turns it trimmed off the raw window.
+function queueForSummary(channelId, evicted) {
+  const state = channelSummaries[channelId] || (channelSummaries[channelId] = { summary: "", participants: [], pending: [], updatedAt: null });
+  state.pending.push(...evicted);
+  if (state.pending.length > MAX_PENDING_TURNS) state.pending = state.pending.slice(-MAX_PENDING_TURNS);
+  saveSummaries();
+  if (state.pending.length >= MEMORY_SUMMARY_BATCH) {
+    summarizeChannel(channelId).catch((e) => console.warn("memory summary failed:", e.message));
+  }
+}
+
+const MEMORY_SUMMARY_SYSTEM = `You maintain the long-term memory of a roleplay intelligence officer.
+You are given the existing summary of a Discord channel and some newer turns.
+Reply in exactly this format:
+SUMMARY:
+<updated summary of the whole channel history, under ${SUMMARY_MAX_CHARS} characters, most important events first>
+FACTS:
+- <speaker name>: <one durable fact about that speaker: faction leanings, notable claims, incidents, relationships>
+Only record facts about the listed speakers that are stated or clearly shown in the turns. Write "- none" if there are none.`;
+
+const summarizing = new Set();
+// Fold the channel's pending turns into its summary and the speakers'
+// dossiers. Pending turns are only cleared once the model has answered, so a
+// failed call is retried with the next batch.
+async function summarizeChannel(channelId) {
+  const state = channelSummaries[channelId];
+  if (!state?.pending.length || summarizing.has(channelId)) return;
+  const guildId = client.channels.cache.get(channelId)?.guildId ?? null;
+  // Near the end of the daily budget, tokens are kept for replies; the
+  // pending turns wait for tomorrow.
+  if (!BACKGROUND_BUDGET_LEVELS.has(budgetLevel(guildId))) return;
+  summarizing.add(channelId);
+  try {
+    const batch = state.pending.slice();
+    const transcript = batch.map((t) => `${t.speaker}: ${t.text}`).join("\n");
+    const { text } = await generateText(guildId, {
+      system: MEMORY_SUMMARY_SYSTEM,
+      parts: [{ text: `EXISTING SUMMARY:\n${state.summary || "(none)"}\n\nNEW TURNS:\n${transcript}` }],
+      temperature: 0.2,
+      maxTokens: 700,
+      purpose: "summary",
+    });
+    const out = text || "";
+    const summary = (out.match(/SUMMARY:\s*([\s\S]*?)(?:\n\s*FACTS:|$)/i) || [])[1]?.trim();
+    if (!summary) throw new Error("no SUMMARY section in model output");
+    state.summary = summary.slice(0, SUMMARY_MAX_CHARS * 1.5);
+    state.pending = state.pending.slice(batch.length);
+    state.participants = [...new Set([...(state.participants || []), ...batch.map((t) => t.userId).filter(Boolean)])];
+    state.updatedAt = new Date().toISOString();
+    saveSummaries();
+
+    // Match fact lines back to the speakers of this batch.
+    const speakers = new Map();
+    for (const t of batch) if (t.userId) speakers.set(t.speaker.toLowerCase(), t);
+    const factsBlock = (out.match(/FACTS:\s*([\s\S]*)$/i) || [])[1] || "";
+    let added = 0;
+    for (const line of factsBlock.split("\n")) {
+      const m = line.match(/^\s*[-*•]\s*([^:]+):\s*(.+)$/);
+      const who = m && speakers.get(m[1].trim().toLowerCase());
+      if (who && guildId && addDossierFact(guildId, who.userId, who.speaker, m[2])) added++;
+    }
+    if (added) saveDossiers();
+  } finally {
+    summarizing.delete(channelId);
+  }
+}
+
+// Long-term context for a reply: the channel summary plus dossiers of the
+// author and whoever else spoke in the recent window.
+function longTermContext(guildId, channelId, userIds) {
+  const sections = [];
+  // A thread without a summary of its own borrows its parent's.
+  const channel = client.channels.cache.get(channelId);
+  const parentId = channel?.isThread?.() ? channel.parentId : null;
+  const summary = channelSummaries[channelId]?.summary;
+  const parentSummary = !summary && parentId ? channelSummaries[parentId]?.summary : null;
+  if (summary) sections.push(`Earlier in this channel (summary):\n${summary}`);
+  else if (parentSummary) sections.push(`Earlier in the parent channel (summary):\n${parentSummary}`);
+  if (guildId) {
+    const files = [...new Set(userIds)]
+      .map((id) => getDossier(guildId, id))
+      .filter((d) => d?.facts.length)
+      .slice(0, DOSSIER_PROMPT_USERS)
+      .map((d) => `${d.callsign}:\n${d.facts.slice(-DOSSIER_PROMPT_FACTS).map((f) => `- ${f.text}`).join("\n")}`);
+    if (files.length) sections.push(`Dossiers on people present:\n${files.join("\n")}`);
+  }
+  return sections.length ? `${sections.join("\n\n")}\n\n` : "";
+}
+
+// Memory maintenance. Turns carry the Discord message ID they came from, so
+// deleted or edited messages can be removed from or rewritten in both the
+// raw window and the turns still waiting to be summarised. Summaries record
+// which users took part so a privacy request can drop them as well.
+function channelTurnLists(channelId) {
+  // Threads may hold seeded copies of this channel's turns.
+  const threads = Object.keys(memoryMap).filter((id) => client.channels.cache.get(id)?.parentId === channelId);
+  return [getMemory(channelId), channelSummaries[channelId]?.pending || [], ...threads.map(getMemory)];
+}
+
+// Remove the turn recorded for a message. Returns true if one was found.
+function forgetMessage(channelId, messageId) {
+  let found = false;
+  for (const list of channelTurnLists(channelId)) {
+    const i = list.findIndex((t) => t.messageId === messageId);
+    if (i !== -1) {
+      list.splice(i, 1);
+      found = true;
+    }
+  }
+  if (found) {
+    saveMemory();
+    saveSummaries();
+  }
+  const guildId = client.channels.cache.get(channelId)?.guildId;
+  if (guildId) pruneGraphSources(guildId, (s) => s.channelId === channelId && s.messageId === messageId);
+  return found;
+}
+
+// Replace the text of the turn recorded for an edited message, keeping any
+// image note that was added to it.
+function rewriteMessage(channelId, messageId, text) {
+  let found = false;
+  const guildId = client.channels.cache.get(channelId)?.guildId;
+  const graphPending = (knowledge[guildId]?.pending || []).filter((t) => t.channelId === channelId);
+  for (const list of [...channelTurnLists(channelId), graphPending]) {
+    const turn = list.find((t) => t.messageId === messageId);
+    if (turn) {
+      const note = turn.text.match(/ \[image: [^\]]*\]$/)?.[0] || "";
+      turn.text = `${text}${note}`;
+      found = true;
+    }
+  }
+  if (found) {
+    saveMemory();
+    saveSummaries();
+    saveKnowledge();
+  }
+  return found;
+}
+
+// Drop everything remembered about a channel: raw turns, pending turns and
+// the summary.
+function clearChannelMemory(channelId) {
+  const had = getMemory(channelId).length + (channelSummaries[channelId] ? 1 : 0);
+  delete memoryMap[channelId];
+  delete channelSummaries[channelId];
+  saveMemory();
+  saveSummaries();
+  return had > 0;
+}
+
+// The guild a remembered channel belongs to. Archived threads and other
+// channels can drop out of the cache, so this falls back to the guild
+// recorded on the channel's turns, then to fetching the channel.
+async function channelGuildId(channelId) {
+  const cached = client.channels.cache.get(channelId);
+  if (cached) return cached.guildId ?? null;
+  const turns = [...getMemory(channelId), ...(channelSummaries[channelId]?.pending || [])];
+  const recorded = turns.find((t) => t.guildId)?.guildId;
+  if (recorded) return recorded;
+  const fetched = await client.channels.fetch(channelId).catch(() => null);
+  return fetched?.guildId ?? null;
+}
+
+// Forget a user across a guild's channels: their turns, any summary they
+// took part in, their dossier, the field intel only they were the source
+// of and the field reports they filed. Returns counts for the reply.
+async function forgetUser(guildId, userId) {
+  const result = { turns: 0, summaries: 0, dossier: false, reports: 0 };
+  const channelIds = [...new Set([...Object.keys(memoryMap), ...Object.keys(channelSummaries)])];
+  const guildIds = new Map(await Promise.all(channelIds.map(async (id) => [id, await channelGuildId(id)])));
+  const inGuild = (channelId) => guildIds.get(channelId) === guildId;
+  for (const channelId of Object.keys(memoryMap).filter(inGuild)) {
+    const before = memoryMap[channelId].length;
+    memoryMap[channelId] = memoryMap[channelId].filter((t) => t.userId !== userId);
+    result.turns += before - memoryMap[channelId].length;
+  }
+  for (const [channelId, state] of Object.entries(channelSummaries).filter(([id]) => inGuild(id))) {
+    const before = state.pending.length;
+    state.pending = state.pending.filter((t) => t.userId !== userId);
+    result.turns += before - state.pending.length;
+    if (state.participants?.includes(userId)) {
+      // A summary can't be edited reliably, so it goes entirely.
+      state.summary = "";
+      state.participants = [];
+      result.summaries++;
+    }
+  }
+  if (dossiers[guildId]?.[userId]) {
+    delete dossiers[guildId][userId];
+    result.dossier = true;
+  }
+  pruneGraphSources(guildId, (s) => s.userId === userId);
+  result.reports = forgetReports(guildId, userId);
+  saveMemory();
+  saveSummaries();
+  saveDossiers();
+  return result;
+}
+
+// Render a channel's memory as Markdown for !memory show and export.
+function memoryToMarkdown(channelId, title) {
+  const state = channelSummaries[channelId];
+  const turns = getMemory(channelId);
+  const lines = [`# Memory: ${title}`, ""];
+  if (state?.summary) lines.push("## Summary", "", state.summary, "");
+  if (state?.pending.length) lines.push(`*${state.pending.length} older turn(s) waiting to be summarised.*`, "");
+  lines.push("## Recent turns", "");
+  if (!turns.length) lines.push("(none)");
+  for (const t of turns) lines.push(`- ${t.at ? `\`${t.at.slice(0, 16).replace("T", " ")}\` ` : ""}**${t.speaker}**: ${t.text}`);
+  return lines.join("\n");
+}
+
+/* ===== KNOWLEDGE GRAPH ===== */
+// What players reveal in chat and in parsed documents is collected into a
+// per-guild graph of people, units, locations, events and factions. Turns
+// that appendToMemory records from players are queued; once
+// GRAPH_EXTRACT_BATCH of them have built up, the model lists the entities,
+// facts and links they state, each with a confidence and the lines it came
+// from. Documents read by !parse are processed straight away. Stored in
+// knowledge.json as
+//   { [guildId]: { entities: { [key]: entity }, links: [link], pending: [turn] } }
+// where
+//   entity = { name, type, aliases, confidence, facts: [{ text, confidence, sources, at }], sources, updatedAt }
+//   link   = { from, relation, to, confidence, sources, at }   (from/to are entity keys)
+//   source = { channelId, messageId?, userId, doc? }
+// and pending turns are memory turns with their channelId added. The same
+// statement seen again raises its confidence rather than adding a copy.
+const GRAPH_EXTRACT_BATCH = Number(process.env.GRAPH_EXTRACT_BATCH || 8);
+const GRAPH_TYPES = ["person", "unit", "location", "event", "faction"];
+const MAX_GRAPH_PENDING = 100;
+const MAX_ENTITY_FACTS = 30;
+const MAX_GRAPH_SOURCES = 5;
+const MAX_GRAPH_LINKS = 2000;
+// Entities the extractor is shown so it reuses existing names.
+const GRAPH_KNOWN_ENTITIES = 60;
+// Document text sent for extraction is capped at this many characters.
+const GRAPH_DOC_CHARS = 8000;
+// How much of the graph goes into each reply prompt.
+const GRAPH_PROMPT_ENTITIES = 4;
+const GRAPH_PROMPT_FACTS = 4;
+const GRAPH_PROMPT_LINKS = 5;
+// Facts below this confidence are marked unconfirmed in prompts and replies.
+const GRAPH_CONFIRMED = 0.6;
+// !intel links searches paths up to this many hops.
+const GRAPH_PATH_DEPTH = 4;
+
+const knowledge = readJsonSafe(GRAPH_FILE, {});
+function saveKnowledge() {
+  writeJsonAtomic(GRAPH_FILE, knowledge);
+}
+
+function guildGraph(guildId) {
+  return knowledge[guildId] || (knowledge[guildId] = { entities: {}, links: [], pending: [] });
+}
+
+function entityKey(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+}
+
+// Look an entity up by name or alias. Returns { key, ...entity } or null.
+function findEntity(guildId, name) {
+  const graph = knowledge[guildId];
+  const key = entityKey(name || "");
+  if (!graph || !key) return null;
+  if (graph.entities[key]) return { key, ...graph.entities[key] };
+  const hit = Object.entries(graph.entities).find(([, e]) => e.aliases.some((a) => entityKey(a) === key));
+  return hit ? { key: hit[0], ...hit[1] } : null;
+}
+
+// Two independent reports of the same thing make it more certain.
+function combineConfidence(a, b) {
+  return Math.min(0.99, 1 - (1 - a) * (1 - b));
+}
+
+function addSources(item, sources) {
+  for (const s of sources) {
+    if (!item.sources.some((o) => o.channelId === s.channelId && o.messageId === s.messageId && o.doc === s.doc)) item.sources.push(s);
+  }
+  item.sources = item.sources.slice(-MAX_GRAPH_SOURCES);
+}
+
+function percent(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+// Render sources as Discord message links, numbered, or by document name.
+function sourceRefs(guildId, sources) {
+  return sources
+    .map((s, i) => {
+      const label = s.doc ? `"${s.doc}"` : String(i + 1);
+      return s.messageId ? `[${label}](https://discord.com/channels/${guildId}/${s.channelId}/${s.messageId})` : label;
+    })
+    .join(" ");
+}
+
+const GRAPH_EXTRACT_SYSTEM = `You maintain an intelligence knowledge graph for a roleplay set in a fictional near-future U.S. civil war.
+From the numbered source lines, extract durable intelligence about people, units, locations, events and factions.
+Reply with one item per line, in exactly these formats:
+ENTITY | <type: ${GRAPH_TYPES.join(", ")}> | <name> | <other names, comma separated, or -> | <confidence 0-1> | <line numbers>
+FACT | <entity name> | <one short fact about it> | <confidence 0-1> | <line numbers>
+LINK | <entity name> | <relation, e.g. member of, commands, allied with, hostile to, based at, took part in> | <entity name> | <confidence 0-1> | <line numbers>
+Declare every entity you use with an ENTITY line. Reuse the known names where they fit. Confidence reflects how firmly the lines state it: rumours, boasts and jokes are low, plain reports high.
+Only extract what the lines state. Write NONE if there is nothing worth recording.`;
+
+// Merge the model's extraction output into a guild's graph. sourcesFor maps
+// the line numbers an item cites to sources. Returns the number of new or
+// reinforced items.
+function mergeExtraction(guildId, output, sourcesFor) {
+  const graph = guildGraph(guildId);
+  const now = new Date().toISOString();
+  const conf = (v) => Math.max(0.05, Math.min(0.95, Number.parseFloat(v) || 0.5));
+  const declared = new Map();
+  const resolve = (name) => {
+    const key = entityKey(name || "");
+    if (declared.has(key)) return declared.get(key);
+    return findEntity(guildId, name)?.key || null;
+  };
+  let changed = 0;
+  const lines = (output || "").split("\n").map((l) => l.split("|").map((f) => f.trim()));
+  for (const fields of lines.filter((f) => /^entity$/i.test(f[0]))) {
+    const [, rawType, name, aliases, confidence, cites] = fields;
+    const type = (rawType || "").toLowerCase();
+    if (!name || !GRAPH_TYPES.includes(type)) continue;
+    const others = aliases && aliases !== "-" ? aliases.split(",").map((a) => a.trim()).filter(Boolean) : [];
+    const key = findEntity(guildId, name)?.key || others.map((a) => findEntity(guildId, a)?.key).find(Boolean) || entityKey(name);
+    if (!key) continue;
+    const entity = graph.entities[key] || (graph.entities[key] = { name, type, aliases: [], confidence: 0, facts: [], sources: [], updatedAt: now });
+    for (const a of [name, ...others]) {
+      if (entityKey(a) !== key && !entity.aliases.some((x) => entityKey(x) === entityKey(a))) entity.aliases.push(a);
+    }
+    entity.confidence = entity.confidence ? combineConfidence(entity.confidence, conf(confidence)) : conf(confidence);
+    addSources(entity, sourcesFor(cites));
+    entity.updatedAt = now;
+    declared.set(entityKey(name), key);
+    for (const a of others) declared.set(entityKey(a), key);
+    changed++;
+  }
+  for (const fields of lines.filter((f) => /^fact$/i.test(f[0]))) {
+    const [, name, text, confidence, cites] = fields;
+    const key = resolve(name);
+    const clean = (text || "").replace(/\s+/g, " ").slice(0, 300);
+    if (!key || !clean) continue;
+    const entity = graph.entities[key];
+    let fact = entity.facts.find((f) => f.text.toLowerCase() === clean.toLowerCase());
+    if (fact) fact.confidence = combineConfidence(fact.confidence, conf(confidence));
+    else entity.facts.push((fact = { text: clean, confidence: conf(confidence), sources: [], at: now }));
+    addSources(fact, sourcesFor(cites));
+    // Keep the most certain facts when the list overflows.
+    if (entity.facts.length > MAX_ENTITY_FACTS) {
+      entity.facts.sort((a, b) => b.confidence - a.confidence || b.at.localeCompare(a.at));
+      entity.facts.length = MAX_ENTITY_FACTS;
+    }
+    entity.updatedAt = now;
+    changed++;
+  }
+  for (const fields of lines.filter((f) => /^link$/i.test(f[0]))) {
+    const [, fromName, rawRelation, toName, confidence, cites] = fields;
+    const from = resolve(fromName);
+    const to = resolve(toName);
+    const relation = (rawRelation || "").toLowerCase().replace(/\s+/g, " ");
+    if (!from || !to || from === to || !relation) continue;
+    let link = graph.links.find((l) => l.from === from && l.to === to && l.relation === relation);
+    if (link) link.confidence = combineConfidence(link.confidence, conf(confidence));
+    else graph.links.push((link = { from, relation, to, confidence: conf(confidence), sources: [], at: now }));
+    addSources(link, sourcesFor(cites));
+    link.at = now;
+    changed++;
+  }
+  if (graph.links.length > MAX_GRAPH_LINKS) {
+    graph.links.sort((a, b) => b.at.localeCompare(a.at));
+    graph.links.length = MAX_GRAPH_LINKS;
+  }
+  return changed;
+}
+
+async function runExtraction(guildId, lines, sourcesFor, label) {
+  const graph = guildGraph(guildId);
+  const known = Object.values(graph.entities)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, GRAPH_KNOWN_ENTITIES)
+    .map((e) => `${e.name} (${e.type})`);
+  const { text } = await generateText(guildId, {
+    system: GRAPH_EXTRACT_SYSTEM,
+    parts: [{ text: `KNOWN ENTITIES: ${known.join(", ") || "(none)"}\n\n${label}:\n${lines.map((l, i) => `[${i + 1}] ${l}`).join("\n")}` }],
+    temperature: 0.1,
+    maxTokens: 900,
+    purpose: "graph",
+  });
+  return mergeExtraction(guildId, text, sourcesFor);
+}
+
+// Turn the "<line numbers>" field into sources, given one source per line.
+function citeSources(perLine) {
+  return (cites) => {
+    const nums = [...String(cites || "").matchAll(/\d+/g)].map((m) => Number(m[0]) - 1);
+    return [...new Set(nums)].map((i) => perLine[i]).filter(Boolean);
+  };
+}
+
+// Called by appendToMemory for every player turn.
+function queueForGraph(channelId, turn) {
+  const guildId = client.channels.cache.get(channelId)?.guildId;
+  if (!guildId || !turn.userId) return;
+  const graph = guildGraph(guildId);
+  graph.pending.push({ ...turn, channelId });
+  if (graph.pending.length > MAX_GRAPH_PENDING) graph.pending = graph.pending.slice(-MAX_GRAPH_PENDING);
+  saveKnowledge();
+  if (graph.pending.length >= GRAPH_EXTRACT_BATCH) {
+    extractFromTurns(guildId).catch((e) => console.warn("knowledge extraction failed:", e.message));
+  }
+}
+
+const extracting = new Set();
+// Like summarizeChannel, pending turns are only cleared once the model has
+// answered.
+async function extractFromTurns(guildId) {
+  const graph = knowledge[guildId];
+  if (!graph?.pending.length || extracting.has(guildId) || !BACKGROUND_BUDGET_LEVELS.has(budgetLevel(guildId))) return;
+  extracting.add(guildId);
+  try {
+    const batch = graph.pending.slice();
+    const perLine = batch.map((t) => ({ channelId: t.channelId, messageId: t.messageId, userId: t.userId }));
+    await runExtraction(guildId, batch.map((t) => `${t.speaker}: ${t.text}`), citeSources(perLine), "SOURCE LINES (chat)");
+    graph.pending = graph.pending.filter((t) => !batch.includes(t));
+    saveKnowledge();
+  } finally {
+    extracting.delete(guildId);
+  }
+}
+
+// Extract from a document read by !parse. text is the document itself, or
+// its digest for long documents.
+async function extractFromDocument(guildId, { channelId, messageId, userId, name }, text) {
+  if (!guildId || !text) return 0;
+  const lines = text.slice(0, GRAPH_DOC_CHARS).split(/\n+/).map((l) => l.trim()).filter(Boolean);
+  const source = { channelId, messageId, userId, doc: name };
+  const changed = await runExtraction(guildId, lines, () => [source], `SOURCE LINES (document "${name}")`);
+  saveKnowledge();
+  return changed;
+}
+
+// Drop sources matching a predicate (deleted messages, forgotten users) and
+// whatever is left with no source at all.
+function pruneGraphSources(guildId, drop) {
+  const graph = knowledge[guildId];
+  if (!graph) return;
+  const before = graph.pending.length;
+  graph.pending = graph.pending.filter((t) => !drop({ channelId: t.channelId, messageId: t.messageId, userId: t.userId }));
+  let changed = graph.pending.length !== before;
+  const keep = (item) => {
+    const n = item.sources.length;
+    item.sources = item.sources.filter((s) => !drop(s));
+    if (item.sources.length !== n) changed = true;
+    return item.sources.length > 0;
+  };
+  graph.links = graph.links.filter(keep);
+  for (const [key, entity] of Object.entries(graph.entities)) {
+    entity.facts = entity.facts.filter(keep);
+    const sourced = keep(entity);
+    if (!sourced && !entity.facts.length && !graph.links.some((l) => l.from === key || l.to === key)) delete graph.entities[key];
+  }
+  if (changed) saveKnowledge();
+}
+
+// Links touching an entity, as { relation, other, outgoing, confidence }.
+function entityLinks(guildId, key) {
+  return (knowledge[guildId]?.links || [])
+    .filter((l) => l.from === key || l.to === key)
+    .map((l) => ({ relation: l.relation, other: l.from === key ? l.to : l.from, outgoing: l.from === key, confidence: l.confidence, sources: l.sources }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function entityName(guildId, key) {
+  return knowledge[guildId]?.entities[key]?.name || key;
+}
+
+// "member of Task Force Reaper" from the member's side, "Vance member of
+// Task Force Reaper" from the unit's.
+function describeLink(guildId, link, selfName) {
+  const other = entityName(guildId, link.other);
+  return link.outgoing ? `${link.relation} ${other}` : `${other} ${link.relation} ${selfName}`;
+}
+
+// Graph facts about entities named in a prompt, for respondWithIntel.
+function graphContext(guildId, text) {
+  const graph = knowledge[guildId];
+  if (!graph || !text) return "";
+  const named = Object.entries(graph.entities)
+    .filter(([, e]) => matchTerms(text, [e.name, ...e.aliases]).length)
+    .sort(([, a], [, b]) => b.confidence - a.confidence)
+    .slice(0, GRAPH_PROMPT_ENTITIES);
+  if (!named.length) return "";
+  const mark = (c) => (c < GRAPH_CONFIRMED ? " (unconfirmed)" : "");
+  const blocks = named.map(([key, e]) => {
+    const facts = [...e.facts].sort((a, b) => b.confidence - a.confidence).slice(0, GRAPH_PROMPT_FACTS).map((f) => `- ${f.text}${mark(f.confidence)}`);
+    const links = entityLinks(guildId, key).slice(0, GRAPH_PROMPT_LINKS).map((l) => `- ${describeLink(guildId, l, e.name)}${mark(l.confidence)}`);
+    return `${e.name} (${e.type}):\n${[...facts, ...links].join("\n") || "- no details on file"}`;
+  });
+  return `Field intelligence on things mentioned:\n${blocks.join("\n")}\n\n`;
+}
+
+// Shortest chains of links between two entities, ignoring direction.
+// Returns up to three paths, each a list of { from, link } steps.
+function findEntityPaths(guildId, fromKey, toKey) {
+  const paths = [];
+  let frontier = [[{ key: fromKey, link: null }]];
+  const seen = new Set([fromKey]);
+  for (let depth = 0; depth < GRAPH_PATH_DEPTH && frontier.length && !paths.length; depth++) {
+    const next = [];
+    const reached = new Set();
+    for (const path of frontier) {
+      const at = path[path.length - 1].key;
+      for (const link of entityLinks(guildId, at)) {
+        if (seen.has(link.other)) continue;
+        const extended = [...path, { key: link.other, link }];
+        if (link.other === toKey) paths.push(extended);
+        else {
+          next.push(extended);
+          reached.add(link.other);
+        }
+      }
+    }
+    for (const k of reached) seen.add(k);
+    frontier = next;
+  }
+  return paths.slice(0, 3);
+}
+
+function entityChoices(query, ctx) {
+  const entities = Object.values(knowledge[ctx.guild?.id]?.entities || {});
+  return matchChoices(entities.map((e) => ({ name: `${e.name} (${e.type})`.slice(0, 100), value: e.name.slice(0, 100) })), query);
+}
+
+/* ===== FIELD REPORTS ===== */
+// Structured intel filed by players with !report (or its form when run as a
+// slash command). Each new report is cross-checked by the model against
+// earlier reports on the same faction or location and against the manual
+// log. Conflicts mark the report "disputed" and are flagged in the channel
+// until someone with report.verify confirms or rejects it. Stored in
+// reports.json as { [guildId]: [report] } where
+//   report = { id, faction, location, claim, reliability, observedAt,
+//              reportedAt, reporterId, reporter, channelId, messageId,
+//              status, conflicts: [{ ref, reason }], resolvedBy, resolvedAt }
+// ref is another report's id or "log:<section>", and status is one of
+// REPORT_STATUSES.
+const REPORT_STATUSES = ["unverified", "disputed", "confirmed", "rejected", "retracted"];
+// NATO/Admiralty source reliability grades.
+const SOURCE_RELIABILITY = {
+  A: "completely reliable",
+  B: "usually reliable",
+  C: "fairly reliable",
+  D: "not usually reliable",
+  E: "unreliable",
+  F: "reliability cannot be judged",
+};
+// Earlier reports shown to the model when cross-checking a new one.
+const REPORT_CHECK_CANDIDATES = 15;
+const REPORT_LIST_LIMIT = 15;
+
+const fieldReports = readJsonSafe(REPORT_FILE, {});
+function saveReports() {
+  writeJsonAtomic(REPORT_FILE, fieldReports);
+}
+
+function guildReports(guildId) {
+  return fieldReports[guildId] || (fieldReports[guildId] = []);
+}
+
+function findReport(guildId, id) {
+  return guildReports(guildId).find((r) => r.id === id) || null;
+}
+
+// Reports that still count as intel: not rejected or retracted.
+function reportIsLive(report) {
+  return !["rejected", "retracted"].includes(report.status);
+}
+
+// "#7 Shadow Company @ Fort Hollow" for replies and the model.
+function reportHeading(report) {
+  return `#${report.id} ${report.faction}${report.location ? ` @ ${report.location}` : ""}`;
+}
+
+// Read the report time: a duration is taken as that long ago, anything else
+// as a date. Returns a timestamp or null.
+function parseReportTime(input) {
+  if (!input) return Date.now();
+  const ago = parseDuration(input);
+  if (ago) return Date.now() - ago;
+  const at = Date.parse(input);
+  return Number.isNaN(at) ? null : at;
+}
+
+const REPORT_CHECK_SYSTEM = `You cross-check field reports for an intelligence officer in a fictional near-future U.S. civil war roleplay.
+Compare the NEW REPORT with the EARLIER REPORTS and the MANUAL LOG excerpts. A conflict is a claim that cannot be true at the same time as the new one: the same unit in two places at once, contradicting numbers, a unit reported destroyed that is later active, and so on. Extra or missing detail, or events at clearly different times, are not conflicts.
+Reply with one line per conflict, in exactly this format:
+CONFLICT | <earlier report number like #12, or LOG n> | <one short sentence on what contradicts>
+Write NONE if nothing conflicts.`;
+
+// Ask the model which earlier reports or log passages a report contradicts.
+// Returns [{ ref, reason }]. The reasons are model output that !report and
+// !reports post, so they are moderated here, once, before they are stored.
+async function findReportConflicts(guildId, report) {
+  const factionKey = entityKey(report.faction);
+  const locationKey = report.location ? entityKey(report.location) : null;
+  const earlier = guildReports(guildId)
+    .filter((r) => r.id !== report.id && reportIsLive(r))
+    .filter((r) => entityKey(r.faction) === factionKey || (locationKey && r.location && entityKey(r.location) === locationKey))
+    .slice(-REPORT_CHECK_CANDIDATES);
+  const passages = retrieveLogPassages(`${report.faction} ${report.location} ${report.claim}`);
+  if (!earlier.length && !passages.length) return [];
+  const describe = (r) => `${reportHeading(r)} (observed ${new Date(r.observedAt).toISOString().slice(0, 16)}Z, source ${r.reliability}, ${r.status}): ${r.claim}`;
+  const prompt = [
+    `NEW REPORT:\n${describe(report)}`,
+    `EARLIER REPORTS:\n${earlier.map(describe).join("\n") || "(none)"}`,
+    `MANUAL LOG:\n${passages.map((p, i) => `[LOG ${i + 1}] ${formatPassage(p)}`).join("\n\n") || "(none)"}`,
+  ].join("\n\n");
+  const { text } = await generateText(guildId, { system: REPORT_CHECK_SYSTEM, parts: [{ text: prompt }], temperature: 0.1, maxTokens: 400, purpose: "report" });
+  const conflicts = [];
+  for (const line of (text || "").split("\n")) {
+    const [tag, ref, raw] = line.split("|").map((f) => f.trim());
+    if (!/^conflict$/i.test(tag || "") || !raw) continue;
+    const num = ref.match(/^#?(\d+)$/);
+    const log = ref.match(/^log\s*(\d+)$/i);
+    const known = (num && earlier.some((r) => r.id === Number(num[1]))) || (log && passages[Number(log[1]) - 1]);
+    if (!known) continue;
+    const reason = await moderateOutput(guildId, raw, { kind: "report check" });
+    if (num) conflicts.push({ ref: Number(num[1]), reason });
+    else conflicts.push({ ref: `log:${passages[Number(log[1]) - 1].section || "manual log"}`, reason });
+  }
+  return conflicts.filter((c, i) => conflicts.findIndex((o) => o.ref === c.ref) === i);
+}
+
+// Strip a member's reports for !memory forget. They are kept as retracted
+// shells so report numbers stay stable, but lose the claim, the place and
+// who filed them; conflicts other reports had with them are dropped. Returns
+// how many reports were stripped.
+function forgetReports(guildId, userId) {
+  const reports = guildReports(guildId);
+  const forgotten = new Set();
+  for (const r of reports) {
+    if (r.resolvedBy === userId) r.resolvedBy = null;
+    if (r.reporterId !== userId) continue;
+    Object.assign(r, { reporterId: null, reporter: "(forgotten)", location: "", claim: "(removed at the reporter's request)", channelId: null, messageId: null, status: "retracted", conflicts: [] });
+    forgotten.add(r.id);
+  }
+  for (const r of reports) {
+    r.conflicts = r.conflicts.filter((c) => !forgotten.has(c.ref));
+    if (r.status === "disputed" && !r.conflicts.length) r.status = "unverified";
+  }
+  saveReports();
+  return forgotten.size;
+}
+
+// File a report and cross-check it. Returns { report, checked } where
+// checked is false if the model could not be reached.
+async function fileReport(guildId, fields) {
+  const reports = guildReports(guildId);
+  const report = {
+    id: reports.reduce((max, r) => Math.max(max, r.id), 0) + 1,
+    ...fields,
+    reportedAt: new Date().toISOString(),
+    status: "unverified",
+    conflicts: [],
+    resolvedBy: null,
+    resolvedAt: null,
+  };
+  reports.push(report);
+  saveReports();
+  let checked = true;
+  try {
+    report.conflicts = await findReportConflicts(guildId, report);
+  } catch (e) {
+    console.warn(`cross-check of report #${report.id} failed:`, e.message);
+    checked = false;
+  }
+  if (report.conflicts.length) {
+    report.status = "disputed";
+    // The earlier reports involved are disputed too, pointing back here.
+    for (const c of report.conflicts.filter((c) => typeof c.ref === "number")) {
+      const other = findReport(guildId, c.ref);
+      if (!other.conflicts.some((o) => o.ref === report.id)) other.conflicts.push({ ref: report.id, reason: c.reason });
+      if (other.status === "unverified") other.status = "disputed";
+    }
+  }
+  saveReports();
+  return { report, checked };
+}
+
+// Settle a report. Disputed reports whose every conflicting report has now
+// been rejected or retracted go back to unverified.
+function resolveReport(guildId, report, status, userId) {
+  report.status = status;
+  report.resolvedBy = userId;
+  report.resolvedAt = new Date().toISOString();
+  for (const r of guildReports(guildId).filter((r) => r.status === "disputed")) {
+    const open = r.conflicts.filter((c) => typeof c.ref !== "number" || reportIsLive(findReport(guildId, c.ref) || { status: "rejected" }));
+    if (!open.length) r.status = "unverified";
+  }
+  saveReports();
+}
+
+function describeConflict(conflict) {
+  return typeof conflict.ref === "number" ? `report #${conflict.ref}: ${conflict.reason}` : `manual log [${conflict.ref.slice(4)}]: ${conflict.reason}`;
+}
+
+function reportFactionChoices(query, ctx) {
+  const guildId = ctx.guild?.id;
+  const names = new Set(guildReports(guildId).map((r) => r.faction));
+  for (const e of Object.values(knowledge[guildId]?.entities || {})) if (e.type === "faction" || e.type === "unit") names.add(e.name);
+  return matchChoices([...names].map((n) => ({ name: n.slice(0, 100), value: n.slice(0, 100) })), query);
+}
+
+/* ===== INTEL ANALYSIS ===== */
+// Generate an in-character reply. images are inline parts from
+// collectImageParts and are sent to the model alongside the prompt.
+// With character set, the reply is written as that NPC instead.
+async function respondWithIntel(message, promptText, channelId, { images = [], maxTokens = 220, character = null } = {}) {
+  // Assemble recent memory into the prompt. Each memory entry becomes a
+  // prefaced line like "<speaker>: <text>". Only the channel's configured
+  // number of entries are retained, but we slice again defensively.
+  let memoryLines = [];
+  // message may be a command context, which has user instead of author.
+  const speakerIds = [(message.author || message.user).id];
+  const guildId = message.guild?.id;
+  // As the guild nears its daily token budget the prompt shrinks: fewer
+  // memory turns and log passages, then no long-term or graph context.
+  const budget = budgetLevel(guildId);
+  if (budget === "exhausted") {
+    countMetric("budget_refusals_total", { purpose: "reply" });
+    return describeModelError({ kind: "budget" });
+  }
+  const lean = budget === "lean";
+  const minimal = budget === "minimal";
+  // The channel's mood sets the persona's style and temperature (see MOOD
+  // ENGINE). NPCs keep their own voice.
+  const mood = personaState(currentMood(channelId, guildId).mood);
+  let mem = getMemory(channelId);
+  // An NPC with its own memory only recalls the exchanges it was part of.
+  if (character?.memory === "own") mem = mem.filter((t) => t.character === character.slug || t.to === character.slug);
+  if (mem && mem.length) {
+    const keep = getSetting("memoryEntries", guildId, channelId);
+    const entries = mem.slice(-(minimal ? 2 : lean ? Math.ceil(keep / 2) : keep));
+    memoryLines = entries.map((it) => `${it.speaker}: ${it.text}`);
+    speakerIds.push(...entries.map((it) => it.userId).filter(Boolean).reverse());
+  }
+  // Retrieve the manual log passages relevant to this message. The message
+  // itself is repeated so it outweighs the older memory lines in the query.
+  const topK = minimal ? 1 : lean ? Math.ceil(LOG_TOP_K / 2) : LOG_TOP_K;
+  const passages = retrieveLogPassages(`${promptText}\n${promptText}\n${memoryLines.slice(-4).join("\n")}`, topK);
+  const memoryPrefix = memoryLines.length ? `Previous conversation:\n${memoryLines.join("\n")}\n\n` : "";
+  // Compose the full prompt passed to the model: long-term memory and field
+  // intel first, then the recent turns, then the message we are answering.
+  const intel = minimal ? "" : graphContext(guildId, `${promptText}\n${memoryLines.slice(-4).join("\n")}`);
+  const longTerm = minimal ? "" : longTermContext(guildId, channelId, speakerIds);
+  const fullPrompt = `${longTerm}${intel}${memoryPrefix}${promptText}`;
+  // The system instruction carries the mood's style and the retrieved log
+  // passages, so it is rebuilt per call.
+  const temperature = character ? 0.7 : mood.temperature;
+  const draft = async (system) => {
+    const { text } = await generateText(guildId, { system, parts: [{ text: fullPrompt }, ...images], temperature, maxTokens, purpose: "reply" });
+    return (text || "").trim();
+  };
+  try {
+    const system = character
+      ? characterSystem(character, guildId, channelId, passages)
+      : baseSystem(mood.style, passages) + castIntro(guildId, channelId);
+    const trimmed = await draft(system);
+    if (!trimmed) return "I couldn't formulate a response.";
+    return await moderateOutput(guildId, trimmed, {
+      channelId,
+      regenerate: (rules) => draft(`${system}\n\nYour previous draft was withheld because it matched these moderation rules: ${rules.join(", ")}. Answer again without that content.`),
+    });
+  } catch (err) {
+    console.error("model error:", err);
+    if (err.kind === "safety") recordModeration({ guildId, channelId, kind: "reply", rules: ["provider safety filter"], policy: "provider", excerpt: promptText });
+    return describeModelError({ ...err, provider: err.provider || providerSettingsFor(guildId).name });
+  }
+}
+
+// Produce a one-line, out-of-character description of images for channel
+// memory, so later turns know what was shown. Falls back to the file names.
+async function describeImagesForMemory(guildId, images, names) {
+  const fallback = names.join(", ");
+  try {
+    const { text } = await generateText(guildId, {
+      system: "You write terse captions for an intelligence log. Describe only what is visible.",
+      parts: [{ text: `In under 25 words, describe what the ${images.length} image(s) show.` }, ...images],
+      temperature: 0.2,
+      maxTokens: 60,
+      purpose: "caption",
+    });
+    return (text || "").trim().replace(/\s+/g, " ") || fallback;
+  } catch (e) {
+    console.warn("image caption failed:", e.message);
+    return fallback;
+  }
+}
+
+/* ===== DOCUMENT DIGEST ===== */
+// Long documents are digested map-reduce style: the document is cut into
+// parts (runs of PDF pages, or sections for text), each part is condensed
+// into structured notes by the model, and the notes are merged into a single
+// intel brief. Documents shorter than DIGEST_MIN_CHARS are shown verbatim.
+const DIGEST_MIN_CHARS = 1500;
+const DIGEST_CHUNK_CHARS = Number(process.env.DIGEST_CHUNK_CHARS || 6000);
+const DIGEST_MAX_CHUNKS = Number(process.env.DIGEST_MAX_CHUNKS || 30);
+// How much of a brief a digest thread remembers.
+const DIGEST_MEMORY_CHARS = 1500;
+// Notes longer than this are merged in batches before the final brief.
+const DIGEST_REDUCE_CHARS = 12000;
+const DIGEST_SYSTEM = `${MAJ_PERSONA}
+You are now writing a written intelligence product rather than chatting. Be precise, neutral and concise. Never invent facts that are not in the source.`;
+const DIGEST_NOTE_FORMAT = `FACTIONS: factions or units mentioned and what is said about each
+PEOPLE: named individuals, with role and affiliation if stated
+LOCATIONS: places mentioned and why they matter
+DATES: dates, times and sequence of events
+KEY POINTS: the most important facts
+OPEN QUESTIONS: gaps, contradictions or things worth verifying
+Write "none" for empty fields. Use short bullet fragments.`;
+
+// Cut a document into labelled parts of roughly DIGEST_CHUNK_CHARS. Very
+// long documents use larger parts so there are at most DIGEST_MAX_CHUNKS.
+function digestChunks(doc) {
+  const size = Math.max(DIGEST_CHUNK_CHARS, Math.ceil(doc.text.length / DIGEST_MAX_CHUNKS));
+  if (!doc.pages) {
+    // chunkText starts a new passage at every heading; pack short sections
+    // back together so a document with many headings isn't hundreds of parts.
+    const parts = [];
+    for (const c of chunkText(doc.text, size)) {
+      const text = c.section ? `# ${c.section}\n${c.text}` : c.text;
+      const last = parts[parts.length - 1];
+      if (last && last.text.length + text.length + 2 <= size) {
+        last.text += `\n\n${text}`;
+        last.sections.push(c.section);
+      } else {
+        parts.push({ text, sections: [c.section] });
+      }
+    }
+    return parts.map((p, i) => {
+      const named = p.sections.filter(Boolean);
+      const label = !named.length ? `part ${i + 1}` : named.length === 1 ? `§ ${named[0]}` : `§ ${named[0]} – ${named[named.length - 1]}`;
+      return { label, text: p.text };
+    });
+  }
+  const chunks = [];
+  const [one, many] = doc.unit === "chapter" ? ["ch.", "chs."] : ["p.", "pp."];
+  let first = 1;
+  let buf = [];
+  let length = 0;
+  const flush = (last) => {
+    if (!buf.length) return;
+    chunks.push({ label: first === last ? `${one} ${first}` : `${many} ${first}–${last}`, text: buf.join("\n\n") });
+    buf = [];
+    length = 0;
+  };
+  doc.pages.forEach((page, i) => {
+    if (buf.length && length + page.length > size) {
+      flush(i);
+      first = i + 1;
+    }
+    if (page.length <= size * 2) {
+      buf.push(page);
+      length += page.length;
+      return;
+    }
+    // A page too long for one part is split over several parts of its own.
+    flush(i);
+    const pieces = chunkText(page, size).map((c) => (c.section ? `# ${c.section}\n${c.text}` : c.text));
+    pieces.forEach((text, n) => chunks.push({ label: `${one} ${i + 1} (${n + 1}/${pieces.length})`, text }));
+    first = i + 2;
+  });
+  flush(doc.pages.length);
+  return chunks;
+}
+
+// Condense one part into notes in DIGEST_NOTE_FORMAT.
+async function digestNotes(guildId, docName, chunk, index, total) {
+  const prompt = `Document "${docName}", part ${index + 1} of ${total} (${chunk.label}).
+Extract intelligence from this part in exactly this format:
+${DIGEST_NOTE_FORMAT}
+
+--- BEGIN PART ---
+${chunk.text}
+--- END PART ---`;
+  const { text } = await generateText(guildId, { system: DIGEST_SYSTEM, parts: [{ text: prompt }], temperature: 0.2, maxTokens: 600, purpose: "digest" });
+  return `[${chunk.label}]\n${(text || "").trim()}`;
+}
+
+// Merge a batch of notes into one set of notes (used when there are too
+// many to fit in the final prompt).
+async function mergeNotes(guildId, docName, notes) {
+  const prompt = `Merge these notes on "${docName}" into one set in exactly this format, keeping page references in brackets:
+${DIGEST_NOTE_FORMAT}
+
+${notes.join("\n\n")}`;
+  const { text } = await generateText(guildId, { system: DIGEST_SYSTEM, parts: [{ text: prompt }], temperature: 0.2, maxTokens: 900, purpose: "digest" });
+  return (text || "").trim();
+}
+
+// Digest one document into a Markdown intel brief. onProgress(done, total)
+// is called after each part.
+async function digestDocument(guildId, doc, onProgress = () => {}) {
+  const chunks = digestChunks(doc);
+  let notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    try {
+      notes.push(await digestNotes(guildId, doc.name, chunks[i], i, chunks.length));
+    } catch (e) {
+      console.warn(`digest of ${doc.name} ${chunks[i].label} failed:`, e.message);
+      notes.push(`[${chunks[i].label}]\n(could not be processed: ${e.message})`);
+    }
+    await onProgress(i + 1, chunks.length);
+  }
+  // Merge in batches until everything fits into one final prompt.
+  while (notes.join("\n\n").length > DIGEST_REDUCE_CHARS && notes.length > 1) {
+    const batches = [];
+    let batch = [];
+    let length = 0;
+    for (const n of notes) {
+      if (batch.length && length + n.length > DIGEST_REDUCE_CHARS) {
+        batches.push(batch);
+        batch = [];
+        length = 0;
+      }
+      batch.push(n);
+      length += n.length;
+    }
+    if (batch.length) batches.push(batch);
+    if (batches.length === notes.length) break;
+    notes = await Promise.all(batches.map((b) => (b.length > 1 ? mergeNotes(guildId, doc.name, b) : b[0])));
+  }
+  const prompt = `Write an intelligence brief on the document "${doc.name}" (${chunks.length} part(s)) from these notes.
+Use Markdown with exactly these sections:
+## Summary
+## Factions mentioned
+## Named individuals
+## Locations
+## Dates & timeline
+## Open questions
+Cite page or section references in brackets where the notes give them. Stay neutral.
+
+${notes.join("\n\n")}`;
+  const { text } = await generateText(guildId, { system: DIGEST_SYSTEM, parts: [{ text: prompt }], temperature: 0.3, maxTokens: 1500, purpose: "digest" });
+  return `# Intel brief: ${doc.name}\n\n${(text || "").trim()}`;
+}
+
+/* ===== SITREPS ===== */
+// Scheduled situation reports. Each schedule posts a report to a channel on
+// a cron expression (evaluated in UTC). A report covers the turns
+// remembered in the guild's channels since the previous report, plus their
+// long-term summaries and the manual log, and is written by the model
+// grouped by faction, then posted as an embed.
+//
+// Schedules persist in sitreps.json:
+//   [{ id, guildId, channelId, cron, createdBy, createdAt, lastRunAt }]
+// On startup any schedule whose next run fell while the bot was offline
+// runs once straight away (not once per missed slot) and says so.
+const SITREP_FILE = path.join(DATA_DIR, "sitreps.json");
+const SITREP_CHECK_INTERVAL_MS = 60 * 1000;
+// A report never reaches back further than this.
+const SITREP_MAX_SPAN_MS = 7 * 24 * 60 * 60 * 1000;
+const SITREP_DEFAULT_SPAN_MS = 24 * 60 * 60 * 1000;
+const SITREP_MAX_TRANSCRIPT_CHARS = 30000;
+const SITREP_FACTIONS = ["Task Force Reaper", "Shadow Company", "Cube Cult"];
+const SITREP_COLOR = 0x556b2f;
+
+const sitrepSchedules = readJsonSafe(SITREP_FILE, []);
+function saveSitreps() {
+  writeJsonAtomic(SITREP_FILE, sitrepSchedules);
+}
+
+// Cron: five fields (minute hour day-of-month month day-of-week), each "*",
+// a number, a range "a-b", a list "a,b" and an optional step "/n". As in
+// classic cron, when both day fields are restricted either may match.
+const CRON_ALIASES = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *" };
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+// Returns { minute, hour, dom, month, dow, domAny, dowAny } of Sets, or
+// throws with a readable message.
+function parseCron(expr) {
+  const fields = (CRON_ALIASES[expr.trim().toLowerCase()] || expr).trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("cron needs five fields: minute hour day-of-month month day-of-week");
+  const sets = fields.map((field, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const part of field.split(",")) {
+      const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+      if (!m) throw new Error(`bad ${name} field: ${field}`);
+      const lo = m[1] === "*" ? min : Number(m[1]);
+      const hi = m[1] === "*" ? max : m[2] !== undefined ? Number(m[2]) : m[3] ? max : lo;
+      const step = m[3] ? Number(m[3]) : 1;
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} out of range: ${part}`);
+      for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return values;
+  });
+  // 7 is another way to write Sunday.
+  if (sets[4].has(7)) sets[4].add(0);
+  return {
+    minute: sets[0], hour: sets[1], dom: sets[2], month: sets[3], dow: sets[4],
+    domAny: fields[2] === "*", dowAny: fields[4] === "*",
+  };
+}
+
+// First time strictly after `after` (ms) that matches the cron, or null if
+// none within a year and a day.
+function nextCronTime(cron, after) {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const t = new Date(Math.floor(after / 60000) * 60000 + 60000);
+  const limit = after + 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    const domOk = c.dom.has(t.getUTCDate());
+    const dowOk = c.dow.has(t.getUTCDay());
+    const dayOk = c.domAny || c.dowAny ? domOk && dowOk : domOk || dowOk;
+    if (!c.month.has(t.getUTCMonth() + 1) || !dayOk) {
+      t.setUTCHours(24, 0, 0, 0);
+    } else if (!c.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t.getTime();
+    }
+  }
+  return null;
+}
+
+const SITREP_SYSTEM = `${MAJ_PERSONA}
+You are now writing a written situation report (SITREP) for the campaign, not chatting. Base it only on the material given. Be concise and concrete.`;
+const SITREP_FORMAT = `Reply in exactly this format, one heading per line followed by its text:
+OVERVIEW:
+<two or three sentences on the period as a whole>
+${SITREP_FACTIONS.map((f) => `${f.toUpperCase()}:\n<what this faction did or what was said about it, or "No activity reported.">`).join("\n")}
+OTHER:
+<anything notable outside those factions, or "Nothing further.">
+ASSESSMENT:
+<one or two sentences: what to watch next>`;
+
+// Gather the material for a guild's report: turns remembered since `since`
+// and channel summaries, grouped by channel.
+function sitrepMaterial(guildId, since) {
+  const blocks = [];
+  const channelIds = new Set([...Object.keys(memoryMap), ...Object.keys(channelSummaries)]);
+  for (const channelId of channelIds) {
+    const channel = client.channels.cache.get(channelId);
+    if (channel?.guildId !== guildId) continue;
+    const turns = [...(channelSummaries[channelId]?.pending || []), ...getMemory(channelId)]
+      .filter((t) => t.at && Date.parse(t.at) >= since);
+    const summary = channelSummaries[channelId]?.summary;
+    if (!turns.length) continue;
+    const lines = [`## #${channel.name}`];
+    if (summary) lines.push(`Background: ${summary}`);
+    lines.push(...turns.map((t) => `${t.speaker}: ${t.text}`));
+    blocks.push(lines.join("\n"));
+  }
+  let transcript = blocks.join("\n\n");
+  // Keep the most recent material when there is too much.
+  if (transcript.length > SITREP_MAX_TRANSCRIPT_CHARS) transcript = `…\n${transcript.slice(-SITREP_MAX_TRANSCRIPT_CHARS)}`;
+  return { transcript, channels: blocks.length };
+}
+
+// Split the model's reply into its headed sections.
+function parseSitrep(text) {
+  const headings = ["OVERVIEW", ...SITREP_FACTIONS.map((f) => f.toUpperCase()), "OTHER", "ASSESSMENT"];
+  const sections = {};
+  let current = null;
+  for (const line of (text || "").split("\n")) {
+    // Headings may come back bolded or as Markdown headers.
+    const m = line.replace(/^[\s#*_]+|(?<=:)[*_]+/g, "").match(/^([A-Z][A-Z ]+?)\s*:\s*(.*)$/);
+    if (m && headings.includes(m[1].trim())) {
+      current = m[1].trim();
+      sections[current] = m[2] ? [m[2]] : [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+  for (const key of Object.keys(sections)) sections[key] = sections[key].join("\n").trim();
+  return sections;
+}
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Build the report embed for a guild covering [since, now]. Returns the
+// message payload.
+async function buildSitrep(guild, since, { note = "" } = {}) {
+  const now = Date.now();
+  since = Math.max(since, now - SITREP_MAX_SPAN_MS);
+  const { transcript, channels } = sitrepMaterial(guild.id, since);
+  const period = `${new Date(since).toISOString().slice(0, 16).replace("T", " ")} – ${new Date(now).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+  const embed = {
+    title: `SITREP – ${guild.name}`,
+    color: SITREP_COLOR,
+    timestamp: new Date(now).toISOString(),
+    footer: { text: [period, note].filter(Boolean).join(" · ") },
+  };
+  if (!transcript) {
+    embed.description = "No activity recorded in this period.";
+    return { embeds: [embed] };
+  }
+  const passages = retrieveLogPassages(SITREP_FACTIONS.join(" "));
+  const log = passages.length ? `MANUAL LOG (background):\n${passages.map(formatPassage).join("\n\n")}\n\n` : "";
+  const { text } = await generateText(guild.id, {
+    system: SITREP_SYSTEM,
+    parts: [{ text: `${log}ACTIVITY (${channels} channel(s), ${period}):\n${transcript}\n\n${SITREP_FORMAT}` }],
+    temperature: 0.3,
+    maxTokens: 900,
+    purpose: "sitrep",
+  });
+  const report = await moderateOutput(guild.id, (text || "").trim(), { kind: "sitrep" });
+  const sections = parseSitrep(report);
+  if (!sections.OVERVIEW) {
+    // The model ignored the format; post what it wrote.
+    embed.description = clip(report || "No report produced.", 4096);
+    return { embeds: [embed] };
+  }
+  embed.description = clip(sections.OVERVIEW, 4096);
+  embed.fields = [...SITREP_FACTIONS.map((f) => [f, sections[f.toUpperCase()]]), ["Other", sections.OTHER], ["Assessment", sections.ASSESSMENT]]
+    .filter(([, value]) => value)
+    .map(([name, value]) => ({ name, value: clip(value, 1024) }));
+  return { embeds: [embed] };
+}
+
+// Post one scheduled report and record the run.
+async function runSitrep(schedule, { note = "" } = {}) {
+  const channel = await client.channels.fetch(schedule.channelId).catch(() => null);
+  if (!channel?.guild) {
+    console.warn(`sitrep ${schedule.id}: channel ${schedule.channelId} is gone`);
+    return;
+  }
+  const since = schedule.lastRunAt ? Date.parse(schedule.lastRunAt) : Date.now() - SITREP_DEFAULT_SPAN_MS;
+  // Record the run first so a failing report isn't retried every minute.
+  schedule.lastRunAt = new Date().toISOString();
+  saveSitreps();
+  try {
+    await deliver((p) => channel.send(p), await buildSitrep(channel.guild, since, { note }));
+  } catch (e) {
+    console.warn(`sitrep ${schedule.id} failed:`, e.message);
+    const detail = e instanceof ProviderError ? describeModelError(e) : e.message;
+    await deliver((p) => channel.send(p), `SITREP could not be compiled: ${detail}`).catch(() => {});
+  }
+}
+
+// Run every schedule that is due. A run is due when the first cron time
+// after the previous run (or after creation) has passed; if the next one
+// has passed too, runs were missed while offline.
+async function checkSitreps() {
+  const now = Date.now();
+  for (const schedule of sitrepSchedules) {
+    const from = Date.parse(schedule.lastRunAt || schedule.createdAt);
+    const due = nextCronTime(schedule.cron, from);
+    if (due === null || due > now) continue;
+    const following = nextCronTime(schedule.cron, due);
+    const missed = following !== null && following <= now;
+    const late = now - due > SITREP_CHECK_INTERVAL_MS * 2;
+    const note = missed ? "catch-up for runs missed while offline" : late ? `delayed from ${new Date(due).toISOString().slice(11, 16)} UTC` : "";
+    await runSitrep(schedule, { note });
+  }
+}
+
+/* ===== DISCORD OUTPUT ===== */
+// Everything the bot posts goes through deliver(), which turns a reply of
+// any size into messages Discord will accept: content is split on
+// paragraph and code-fence boundaries, replies that would take more than
+// MAX_SPLIT_MESSAGES messages become a preview plus a Markdown attachment,
+// Markdown tables are fenced so they line up, and mentions are limited to
+// users (never @everyone, @here or roles), whatever the caller passed.
+const DISCORD_MESSAGE_LIMIT = 2000;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+// Replies longer than this many messages are sent as a file instead.
+const MAX_SPLIT_MESSAGES = 3;
+const OUTPUT_PREVIEW_CHARS = 1500;
+const EMBED_COLOR = 0x4a6741;
+const SAFE_MENTIONS = { parse: ["users"], repliedUser: true };
+
+// Strip mass and role pings from an allowedMentions option.
+function sanitizeMentions(allowed = SAFE_MENTIONS) {
+  const { roles, ...rest } = allowed;
+  return { ...rest, parse: (allowed.parse || []).filter((p) => p === "users") };
+}
+
+// Fence Markdown tables, which Discord doesn't render, so their columns at
+// least line up. Lines already inside a code fence are left alone.
+function fenceTables(text) {
+  const out = [];
+  let inFence = false;
+  let inTable = false;
+  for (const line of text.split("\n")) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const row = !inFence && /^\s*\|.*\|\s*$/.test(line);
+    if (row && !inTable) out.push("```");
+    if (!row && inTable) out.push("```");
+    inTable = row;
+    out.push(line);
+  }
+  if (inTable) out.push("```");
+  return out.join("\n");
+}
+
+// Split text into pieces that fit in one Discord message, preferring
+// paragraph, then line, then word boundaries. A cut inside a code fence
+// moves back to the start of the fence when that isn't too far back;
+// otherwise the fence is closed and reopened (same language) around the
+// cut.
+function splitMessage(text, limit = DISCORD_MESSAGE_LIMIT) {
+  const pieces = [];
+  let rest = text;
+  // Room for closing a fence here and reopening it in the next piece.
+  const margin = 20;
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit - margin);
+    let cut = window.lastIndexOf("\n\n");
+    if (cut < window.length / 2) cut = window.lastIndexOf("\n");
+    if (cut < window.length / 2) cut = window.lastIndexOf(" ");
+    if (cut <= 0) cut = window.length;
+    const fences = [...rest.slice(0, cut).matchAll(/^[ \t]*```(\S*)/gm)];
+    const open = fences.length % 2 === 1 ? fences[fences.length - 1] : null;
+    if (open && open.index > window.length / 4) cut = open.index;
+    let piece = rest.slice(0, cut).trimEnd();
+    rest = rest.slice(cut).replace(/^\s*\n/, "");
+    if (open && cut !== open.index) {
+      piece += "\n```";
+      rest = `\`\`\`${open[1]}\n${rest}`;
+    }
+    pieces.push(piece);
+  }
+  if (rest.trim()) pieces.push(rest);
+  return pieces;
+}
+
+// Turn a reply (a string or message options) into the list of message
+// options to send. filename names the attachment used for overlong text.
+function preparePayloads(payload, { filename = "reply.md" } = {}) {
+  const { content = "", files = [], embeds = [], ...options } = typeof payload === "string" ? { content: payload } : payload;
+  const base = { ...options, allowedMentions: sanitizeMentions(options.allowedMentions) };
+  const text = fenceTables(content);
+  const pieces = text ? splitMessage(text) : [];
+  if (pieces.length > MAX_SPLIT_MESSAGES) {
+    const preview = splitMessage(text, OUTPUT_PREVIEW_CHARS)[0];
+    return [{
+      ...base,
+      content: `${preview}\n\n…full text attached as **${filename}**.`,
+      embeds,
+      files: [...files, { attachment: Buffer.from(content, "utf8"), name: filename }],
+    }];
+  }
+  if (pieces.length <= 1) return [{ ...base, content: pieces[0] || undefined, embeds, files }];
+  // Attachments and embeds ride on the last piece, after the text.
+  return pieces.map((piece, i) => (i === pieces.length - 1 ? { ...base, content: piece, embeds, files } : { ...base, content: piece }));
+}
+
+// Build embed messages for a structured result such as a digest or a
+// dossier. Text that won't fit in a few embeds is attached as a file.
+function embedReply(title, text, { filename = "reply.md", footer = null, color = EMBED_COLOR } = {}) {
+  // Embeds don't render Markdown headings; bold them instead.
+  const body = fenceTables(text).replace(/^#{1,6}\s+(.+)$/gm, "**$1**");
+  const parts = splitMessage(body, EMBED_DESCRIPTION_LIMIT);
+  const embed = (description, i) => ({
+    title: (i ? `${title} (cont.)` : title).slice(0, 256),
+    description,
+    color,
+    ...(footer && i === parts.length - 1 ? { footer: { text: footer.slice(0, 2048) } } : {}),
+  });
+  if (parts.length > MAX_SPLIT_MESSAGES) {
+    return [{
+      embeds: [embed(`${splitMessage(body, OUTPUT_PREVIEW_CHARS)[0]}\n\n…full text attached as **${filename}**.`, 0)],
+      files: [{ attachment: Buffer.from(text, "utf8"), name: filename }],
+    }];
+  }
+  // One embed per message: Discord caps the total size of a message's embeds.
+  return parts.map((part, i) => ({ embeds: [embed(part, i)] }));
+}
+
+// Send a reply through the layer. send posts the first message (e.g.
+// message.reply) and follow any further pieces (default: send again).
+// payload may also be a list of message options from embedReply. Returns
+// the first message sent.
+async function deliver(send, payload, { filename, follow = send } = {}) {
+  const list = Array.isArray(payload) ? payload.flatMap((p) => preparePayloads(p, { filename })) : preparePayloads(payload, { filename });
+  let first = null;
+  for (const options of list) {
+    const sent = await (first ? follow(options) : send(options));
+    first = first || sent;
+  }
+  return first;
+}
+
+// Open a thread on a message for long output or a discussion. Returns null
+// where threads aren't possible (DMs, inside a thread) or the call fails,
+// so callers can post in the channel instead.
+const THREAD_ARCHIVE_MINUTES = 1440;
+async function openThread(message, name) {
+  const channel = message?.channel;
+  if (!channel?.guild || channel.isThread?.() || typeof message.startThread !== "function") return null;
+  if (!getSetting("autoThread", channel.guild.id, channel.id)) return null;
+  try {
+    return await message.startThread({ name: name.slice(0, 100), autoArchiveDuration: THREAD_ARCHIVE_MINUTES });
+  } catch (e) {
+    console.warn(`could not open thread "${name}":`, e.message);
+    return null;
+  }
+}
+
+// Reply with text of any length, with overlong text attached as filename.
+async function replyLong(ctx, text, filename = "reply.md") {
+  return ctx.reply(text, { filename });
+}
+
+/* ===== COMMAND REGISTRY ===== */
+// Every command is declared once here and served both as an application
+// slash command and through the legacy "!" prefix. Each definition has:
+//   name         slash command name (lowercase, no spaces)
+//   aliases      extra prefix-only names, e.g. "forgive" for amnesty
+//   description  one line, shown in Discord and in /help
+//   capability   optional capability required to run it (see PERMISSIONS)
+//   guildOnly    refuse to run outside a guild
+//   ephemeral    reply privately when invoked as a slash command
+//   defer        acknowledge the interaction first (slow commands)
+//   modal        { title, fields } – when the slash command is run with no
+//                options, ask for these option names in a form instead
+//   options      typed arguments, in positional order for the prefix form
+//   run(ctx, args)
+// Option types: string, integer, number, boolean, user, role, mentionable,
+// channel, attachment and duration (a string such as "2h"). String options
+// may set `rest` to swallow the remainder of a prefix command, `choices` for
+// fixed values, or `autocomplete(query, ctx)` returning [{ name, value }].
+const COMMANDS = new Map();
+const COMMAND_ALIASES = new Map();
+
+function defineCommand(def) {
+  const cmd = { aliases: [], options: [], guildOnly: false, ephemeral: false, defer: false, ...def };
+  COMMANDS.set(cmd.name, cmd);
+  for (const alias of cmd.aliases) COMMAND_ALIASES.set(alias, cmd.name);
+  return cmd;
+}
+function findCommand(name) {
+  const lower = (name || "").toLowerCase();
+  return COMMANDS.get(lower) || COMMANDS.get(COMMAND_ALIASES.get(lower)) || null;
+}
+
+const OPTION_TYPES = {
+  string: ApplicationCommandOptionType.String,
+  integer: ApplicationCommandOptionType.Integer,
+  number: ApplicationCommandOptionType.Number,
+  boolean: ApplicationCommandOptionType.Boolean,
+  user: ApplicationCommandOptionType.User,
+  role: ApplicationCommandOptionType.Role,
+  mentionable: ApplicationCommandOptionType.Mentionable,
+  channel: ApplicationCommandOptionType.Channel,
+  attachment: ApplicationCommandOptionType.Attachment,
+  duration: ApplicationCommandOptionType.String,
+};
+
+// Build the JSON payload Discord expects when registering commands.
+function commandToJSON(cmd) {
+  return {
+    name: cmd.name,
+    description: cmd.description.slice(0, 100),
+    dm_permission: !cmd.guildOnly,
+    options: cmd.options.map((o) => ({
+      name: o.name,
+      description: (o.description || o.name).slice(0, 100),
+      type: OPTION_TYPES[o.type],
+      required: Boolean(o.required),
+      ...(o.choices ? { choices: o.choices.map((c) => (typeof c === "object" ? c : { name: c, value: c })) } : {}),
+      ...(o.autocomplete ? { autocomplete: true } : {}),
+      ...(o.min !== undefined ? { min_value: o.min } : {}),
+      ...(o.max !== undefined ? { max_value: o.max } : {}),
+    })),
+  };
+}
+
+// Human readable usage line, e.g. "!alias <user> <callsign>".
+function commandUsage(cmd, prefix = "!") {
+  const args = cmd.options
+    .filter((o) => o.type !== "attachment")
+    .map((o) => {
+      const name = o.choices && o.choices.length <= 4 ? o.choices.join("|") : o.name;
+      const label = o.type === "boolean" ? `--${o.name}` : o.flag ? `--${o.name} <${name}>` : name;
+      if (o.type === "boolean" || o.flag) return `[${label}]`;
+      return o.required ? `<${label}>` : `[${label}]`;
+    });
+  const files = cmd.options.some((o) => o.type === "attachment") ? " (+attachments)" : "";
+  return `${prefix}${cmd.name}${args.length ? " " + args.join(" ") : ""}${files}`;
+}
+
+// Resolve a reference to a user: a mention, a raw ID, or a known alias.
+function resolveUserRef(value) {
+  const v = (value || "").trim();
+  const m = v.match(/^<@!?(\d+)>$/) || v.match(/^(\d{5,})$/);
+  if (m) return m[1];
+  const lower = v.toLowerCase();
+  for (const [userId, callsign] of aliasMap) {
+    if (callsign.toLowerCase() === lower) return userId;
+  }
+  return null;
+}
+
+// Split a prefix command body into tokens, keeping track of where each one
+// starts so "rest" options can take the raw remainder. Double quotes group
+// words into a single token.
+function tokenize(body) {
+  const tokens = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(body))) tokens.push({ value: m[1] ?? m[2], start: m.index });
+  return tokens;
+}
+
+// Convert one prefix token to an option value. Returns undefined if the
+// token doesn't fit the option's type.
+function coercePrefixValue(opt, token) {
+  switch (opt.type) {
+    case "user": {
+      const m = token.match(/^<@!?(\d+)>$/) || token.match(/^(\d{5,})$/);
+      return m ? m[1] : undefined;
+    }
+    case "role": {
+      const m = token.match(/^<@&(\d+)>$/);
+      return m ? m[1] : undefined;
+    }
+    case "mentionable": {
+      const role = token.match(/^<@&(\d+)>$/);
+      if (role) return { id: role[1], kind: "role" };
+      const user = token.match(/^<@!?(\d+)>$/);
+      return user ? { id: user[1], kind: "user" } : undefined;
+    }
+    case "channel": {
+      const m = token.match(/^<#(\d+)>$/) || token.match(/^(\d{5,})$/);
+      return m ? m[1] : undefined;
+    }
+    case "integer": {
+      return /^-?\d+$/.test(token) ? Number(token) : undefined;
+    }
+    case "number": {
+      const n = Number(token);
+      return token !== "" && Number.isFinite(n) ? n : undefined;
+    }
+    case "duration":
+      return parseDuration(token) ? token : undefined;
+    case "boolean":
+      return true;
+    default:
+      if (opt.choices) {
+        const values = opt.choices.map((c) => (typeof c === "object" ? c.value : c));
+        return values.find((v) => String(v).toLowerCase() === token.toLowerCase());
+      }
+      return token;
+  }
+}
+
+// Parse the arguments of a prefix command according to its options.
+// "--name" selects an option by name (booleans take no value). Otherwise
+// tokens fill positional options in order; optional options whose type
+// doesn't match are skipped. A "rest" option takes the raw text up to the
+// next recognised "--name" flag. Returns { args } or { error }.
+function parsePrefixArgs(cmd, body) {
+  const args = {};
+  const tokens = tokenize(body);
+  const positional = cmd.options.filter((o) => o.type !== "attachment" && o.type !== "boolean" && !o.flag);
+  const flagOption = (tok) => {
+    const flag = tok.value.match(/^--([\w-]+)$/);
+    return flag ? cmd.options.find((o) => o.name === flag[1].toLowerCase()) : null;
+  };
+  let next = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const flagOpt = flagOption(tok);
+    if (flagOpt) {
+      if (flagOpt.type === "boolean") {
+        args[flagOpt.name] = true;
+        continue;
+      }
+      const valueTok = tokens[++i];
+      const value = valueTok ? coercePrefixValue(flagOpt, valueTok.value) : undefined;
+      if (value === undefined) return { error: `Invalid value for --${flagOpt.name}.` };
+      args[flagOpt.name] = value;
+      continue;
+    }
+    let placed = false;
+    while (next < positional.length) {
+      const opt = positional[next++];
+      if (opt.rest) {
+        let end = i + 1;
+        while (end < tokens.length && !flagOption(tokens[end])) end++;
+        args[opt.name] = body.slice(tok.start, end < tokens.length ? tokens[end].start : undefined).trim();
+        next = positional.length;
+        i = end - 1;
+        placed = true;
+        break;
+      }
+      const value = coercePrefixValue(opt, tok.value);
+      if (value !== undefined) {
+        args[opt.name] = value;
+        placed = true;
+        break;
+      }
+      if (opt.required) return { error: `Invalid value for ${opt.name}: ${tok.value}` };
+    }
+    if (!placed) break;
+  }
+  return finishPrefixArgs(cmd, args);
+}
+function finishPrefixArgs(cmd, args) {
+  const missing = cmd.options.find((o) => o.required && o.type !== "attachment" && args[o.name] === undefined);
+  return missing ? { error: `Missing ${missing.name}.` } : { args };
+}
+
+// Read typed option values from a slash command interaction.
+function readInteractionArgs(cmd, interaction) {
+  const args = {};
+  const o = interaction.options;
+  for (const opt of cmd.options) {
+    let value;
+    switch (opt.type) {
+      case "user": value = o.getUser(opt.name)?.id; break;
+      case "role": value = o.getRole(opt.name)?.id; break;
+      case "channel": value = o.getChannel(opt.name)?.id; break;
+      case "mentionable": {
+        const m = o.getMentionable(opt.name);
+        if (m) value = { id: m.id, kind: interaction.guild?.roles.cache.has(m.id) ? "role" : "user" };
+        break;
+      }
+      case "attachment": value = o.getAttachment(opt.name) ?? undefined; break;
+      case "boolean": value = o.getBoolean(opt.name) ?? undefined; break;
+      case "integer": value = o.getInteger(opt.name) ?? undefined; break;
+      case "number": value = o.getNumber(opt.name) ?? undefined; break;
+      default: value = o.getString(opt.name) ?? undefined;
+    }
+    if (value !== undefined && value !== null) args[opt.name] = value;
+  }
+  for (const opt of cmd.options) {
+    if (opt.type === "duration" && args[opt.name] !== undefined && !parseDuration(args[opt.name])) {
+      return { error: `Invalid duration for ${opt.name}: use e.g. 30m, 2h, 1d.` };
+    }
+  }
+  return { args };
+}
+
+// A command context hides whether we were invoked by a message or an
+// interaction. reply(payload, { filename }) goes through deliver() (see
+// DISCORD OUTPUT), so it takes a string, message options or a list of them
+// and any length of text; for deferred interactions the first message edits
+// the placeholder and later ones follow up.
+function contextFromMessage(message) {
+  return {
+    source: "message",
+    message,
+    guild: message.guild,
+    member: message.member,
+    user: message.author,
+    channel: message.channel,
+    attachments: [...message.attachments.values()],
+    reply: (payload, options) => deliver((p) => message.reply(p), payload, { ...options, follow: (p) => message.channel.send(p) }),
+    defer: async () => {},
+    can: (capability) => hasCapability(message.guild, message.member, message.author.id, capability),
+  };
+}
+function contextFromInteraction(interaction, cmd) {
+  let answered = false;
+  const ephemeral = Boolean(cmd?.ephemeral);
+  const send = async (opts) => {
+    if (interaction.deferred && !answered) {
+      answered = true;
+      return interaction.editReply(opts);
+    }
+    if (interaction.replied || answered) return interaction.followUp({ ...opts, ephemeral });
+    answered = true;
+    return interaction.reply({ ...opts, ephemeral });
+  };
+  const ctx = {
+    source: "interaction",
+    interaction,
+    guild: interaction.guild,
+    member: interaction.member,
+    user: interaction.user,
+    channel: interaction.channel,
+    attachments: cmd ? cmd.options.filter((o) => o.type === "attachment").map((o) => interaction.options.getAttachment(o.name)).filter(Boolean) : [],
+    reply: (payload, options) => deliver(send, payload, options),
+    defer: async () => {
+      if (!interaction.deferred && !interaction.replied) await interaction.deferReply({ ephemeral });
+    },
+    can: (capability) => hasCapability(interaction.guild, interaction.member, interaction.user.id, capability),
+  };
+  return ctx;
+}
+
+// Shared gatekeeping and error handling for both invocation styles.
+async function runCommand(cmd, ctx, args) {
+  if (cmd.guildOnly && !ctx.guild) {
+    await ctx.reply("This command must be run in a guild.");
+    return;
+  }
+  if (cmd.capability && !ctx.can(cmd.capability)) {
+    await ctx.reply(`You need the \`${cmd.capability}\` capability to do that.`);
+    return;
+  }
+  countMetric("commands_total", { command: cmd.name });
+  try {
+    if (cmd.defer) await ctx.defer();
+    await cmd.run(ctx, args);
+  } catch (e) {
+    console.error(`command ${cmd.name} failed:`, e);
+    const detail = e instanceof ProviderError ? describeModelError(e) : e.message;
+    await ctx.reply(`Command failed: ${detail}`).catch(() => {});
+  }
+}
+
+// Entry point for "!" messages.
+async function handleCommand(message, raw) {
+  const body = raw.trim();
+  const name = body.split(/\s+/, 1)[0];
+  const cmd = findCommand(name);
+  if (!cmd) {
+    await deliver((p) => message.reply(p), `Unknown command: ${name}. Try !help.`);
+    return;
+  }
+  const parsed = parsePrefixArgs(cmd, body.slice(name.length));
+  if (parsed.error) {
+    await deliver((p) => message.reply(p), `${parsed.error}\nUsage: ${commandUsage(cmd)}`);
+    return;
+  }
+  await runCommand(cmd, contextFromMessage(message), parsed.args);
+}
+
+// Entry point for slash commands and their autocomplete requests.
+async function handleInteraction(interaction) {
+  if (interaction.isModalSubmit()) {
+    await handleModalSubmit(interaction);
+    return;
+  }
+  if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+  const cmd = findCommand(interaction.commandName);
+  if (!cmd) return;
+  if (interaction.isAutocomplete()) {
+    const focused = interaction.options.getFocused(true);
+    const opt = cmd.options.find((o) => o.name === focused.name);
+    let choices = [];
+    try {
+      choices = opt?.autocomplete ? await opt.autocomplete(String(focused.value || ""), contextFromInteraction(interaction)) : [];
+    } catch (e) {
+      console.warn(`autocomplete for ${cmd.name} failed:`, e.message);
+    }
+    await interaction.respond(choices.slice(0, 25)).catch(() => {});
+    return;
+  }
+  if (cmd.modal && !interaction.options.data.length) {
+    await interaction.showModal(commandModal(cmd));
+    return;
+  }
+  const ctx = contextFromInteraction(interaction, cmd);
+  const parsed = readInteractionArgs(cmd, interaction);
+  if (parsed.error) {
+    await ctx.reply(parsed.error);
+    return;
+  }
+  await runCommand(cmd, ctx, parsed.args);
+}
+
+// Forms for commands that declare a modal. The custom ID carries the
+// command name; each text input is named after the option it fills.
+const MODAL_PREFIX = "cmd:";
+function commandModal(cmd) {
+  const modal = new ModalBuilder().setCustomId(`${MODAL_PREFIX}${cmd.name}`).setTitle(cmd.modal.title.slice(0, 45));
+  for (const name of cmd.modal.fields) {
+    const opt = cmd.options.find((o) => o.name === name);
+    const input = new TextInputBuilder()
+      .setCustomId(opt.name)
+      .setLabel(`${opt.name[0].toUpperCase()}${opt.name.slice(1)}`)
+      .setPlaceholder(opt.description.slice(0, 100))
+      .setStyle(opt.rest ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(Boolean(opt.required));
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  }
+  return modal;
+}
+
+// Typed-in form values go through the same conversion as prefix arguments.
+async function handleModalSubmit(interaction) {
+  if (!interaction.customId.startsWith(MODAL_PREFIX)) return;
+  const cmd = findCommand(interaction.customId.slice(MODAL_PREFIX.length));
+  if (!cmd?.modal) return;
+  const ctx = contextFromInteraction(interaction, cmd);
+  const args = {};
+  for (const name of cmd.modal.fields) {
+    const opt = cmd.options.find((o) => o.name === name);
+    const raw = interaction.fields.getTextInputValue(name)?.trim();
+    if (!raw) continue;
+    const value = coercePrefixValue(opt, raw);
+    if (value === undefined) {
+      await ctx.reply(`Invalid value for ${name}: ${raw}`);
+      return;
+    }
+    args[name] = value;
+  }
+  await runCommand(cmd, ctx, args);
+}
+
+// Register the slash commands with Discord. Set SLASH_GUILD_ID to register
+// them on a single guild, which updates instantly (handy while testing).
+async function registerSlashCommands(application) {
+  const body = [...COMMANDS.values()].map(commandToJSON);
+  if (SLASH_GUILD_ID) await application.commands.set(body, SLASH_GUILD_ID);
+  else await application.commands.set(body);
+  console.log(`Registered ${body.length} slash commands${SLASH_GUILD_ID ? ` on guild ${SLASH_GUILD_ID}` : ""}.`);
+}
+
+// Autocomplete helpers shared by several commands.
+function matchChoices(entries, query) {
+  const q = query.toLowerCase();
+  return entries.filter((c) => c.name.toLowerCase().includes(q)).slice(0, 25);
+}
+function aliasChoices(query) {
+  return matchChoices([...aliasMap].map(([userId, callsign]) => ({ name: callsign.slice(0, 100), value: userId })), query);
+}
+function maggotChoices(query, ctx) {
+  const guildId = ctx.guild?.id;
+  const entries = [...maggots.values()]
+    .filter((r) => r.guildId === guildId)
+    .map((r) => ({ name: `${r.label} (${aliasMap.get(r.userId) || r.originalNick || r.userId})`.slice(0, 100), value: r.userId }));
+  return matchChoices(entries, query);
+}
+
+/* ===== COMMANDS ===== */
+defineCommand({
+  name: "help",
+  description: "List commands or show how to use one",
+  ephemeral: true,
+  options: [
+    {
+      name: "command",
+      type: "string",
+      description: "Command to describe",
+      autocomplete: (query) => matchChoices([...COMMANDS.keys()].map((n) => ({ name: n, value: n })), query),
+    },
+  ],
+  run: async (ctx, { command }) => {
+    const prefix = ctx.source === "interaction" ? "/" : "!";
+    if (command) {
+      const cmd = findCommand(command);
+      if (!cmd) {
+        await ctx.reply(`Unknown command: ${command}`);
+        return;
+      }
+      const lines = [`**${commandUsage(cmd, prefix)}**`, cmd.description];
+      if (cmd.aliases.length) lines.push(`Aliases: ${cmd.aliases.map((a) => `${prefix}${a}`).join(", ")}`);
+      if (cmd.capability) lines.push(`Requires: \`${cmd.capability}\``);
+      for (const o of cmd.options) {
+        lines.push(`• \`${o.name}\`${o.required ? "" : " (optional)"} – ${o.description || o.type}`);
+      }
+      await ctx.reply(lines.join("\n"));
+      return;
+    }
+    const lines = [...COMMANDS.values()].map((cmd) => {
+      const cap = cmd.capability ? ` *(${cmd.capability})*` : "";
+      return `\`${commandUsage(cmd, prefix)}\` – ${cmd.description}${cap}`;
+    });
+    await ctx.reply(`**Commands** (use ${prefix}help <command> for details):\n${lines.join("\n")}`);
+  },
+});
+
+defineCommand({
+  name: "loadlog",
+  description: "Replace, append to or update a section of the manual log",
+  capability: "log.write",
+  ephemeral: true,
+  defer: true,
+  options: [
+    { name: "text", type: "string", description: "Log text (omit to use the attachment)", rest: true },
+    { name: "file", type: "attachment", description: "Log file (text, PDF, Word, ODT, HTML, EPUB, CSV or JSON)" },
+    { name: "append", type: "boolean", description: "Add to the end instead of replacing" },
+    { name: "section", type: "string", description: "Only replace the section with this heading", flag: true },
+  ],
+  run: async (ctx, { text, append, section }) => {
+    // Use the text if given; otherwise try attachments.
+    let newText = (text || "").trim();
+    if (!newText) {
+      const { docs, errors } = await collectDocuments(ctx.attachments);
+      if (errors.length) {
+        await ctx.reply(`${describeDocErrors(errors)}\nManual log not changed.`);
+        return;
+      }
+      newText = docs.map((d) => `Attachment **${d.name}**:\n\n${d.text}`).join("\n\n");
+    }
+    if (!newText) {
+      await ctx.reply("No log text provided. Attach a document (text, PDF, Word, ODT, HTML, EPUB, CSV or JSON) or include text after !loadlog.");
+      return;
+    }
+    if (append && section) {
+      await ctx.reply("Use either --append or --section, not both.");
+      return;
+    }
+    let newLog = newText;
+    let action = "replace";
+    if (append) {
+      newLog = manualLog ? `${manualLog.replace(/\s+$/, "")}\n\n${newText}` : newText;
+      action = "append";
+    } else if (section) {
+      newLog = replaceLogSection(manualLog, section, newText);
+      action = "section";
+    }
+    if (newLog === manualLog) {
+      await ctx.reply("No change: the manual log already has that content.");
+      return;
+    }
+    const meta = setManualLog(newLog, { authorId: ctx.user.id, author: ctx.user.username, action, note: section || "" });
+    audit(null, { action: `log.${action}`, actorId: ctx.user.id, before: `r${meta.rev - 1}`, after: `r${meta.rev}`, reason: section || "" });
+    const what = action === "append" ? "Text appended to the manual log" : action === "section" ? `Manual log section "${section}" updated` : "Manual log replaced";
+    await ctx.reply(`${what} (r${meta.rev}).`);
+  },
+});
+
+defineCommand({
+  name: "loghistory",
+  description: "List recent manual log revisions",
+  ephemeral: true,
+  options: [
+    { name: "count", type: "integer", description: "How many to show (default 15)", min: 1, max: 50 },
+  ],
+  run: async (ctx, { count }) => {
+    if (!logRevisions.length) {
+      await ctx.reply("No log revisions recorded yet.");
+      return;
+    }
+    const lines = logRevisions
+      .slice(-(count || 15))
+      .reverse()
+      .map((r) => {
+        const when = new Date(r.at).toISOString().replace("T", " ").slice(0, 16);
+        const note = r.note ? ` "${r.note}"` : "";
+        return `\`r${r.rev}\` ${when} – ${r.action}${note} by ${r.author} (${r.length} chars)`;
+      });
+    await ctx.reply({ content: `**Manual log history** (latest r${latestLogRevision()}):\n${lines.join("\n")}`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "logdiff",
+  description: "Show a unified diff between two log revisions (default: against the latest)",
+  ephemeral: true,
+  options: [
+    { name: "from", type: "integer", description: "Older revision", required: true, autocomplete: revisionChoices },
+    { name: "to", type: "integer", description: "Newer revision (default: latest)", autocomplete: revisionChoices },
+  ],
+  run: async (ctx, { from, to }) => {
+    const toRev = to ?? latestLogRevision();
+    const oldText = readLogRevision(from);
+    const newText = readLogRevision(toRev);
+    if (oldText === null || newText === null) {
+      await ctx.reply(`Unknown revision: r${oldText === null ? from : toRev}.`);
+      return;
+    }
+    const diff = unifiedDiff(oldText, newText, `r${from}`, `r${toRev}`);
+    if (!diff) {
+      await ctx.reply(`r${from} and r${toRev} are identical.`);
+      return;
+    }
+    const block = `\`\`\`diff\n${diff.replace(/```/g, "`\u200b``")}\n\`\`\``;
+    await ctx.reply(block, { filename: `log-r${from}-r${toRev}.diff` });
+  },
+});
+
+defineCommand({
+  name: "logrollback",
+  description: "Restore the manual log to an earlier revision",
+  capability: "log.write",
+  ephemeral: true,
+  options: [
+    { name: "rev", type: "integer", description: "Revision to restore", required: true, autocomplete: revisionChoices },
+  ],
+  run: async (ctx, { rev }) => {
+    const text = readLogRevision(rev);
+    if (text === null) {
+      await ctx.reply(`Unknown revision: r${rev}.`);
+      return;
+    }
+    if (text === manualLog) {
+      await ctx.reply(`The manual log already matches r${rev}.`);
+      return;
+    }
+    const meta = setManualLog(text, { authorId: ctx.user.id, author: ctx.user.username, action: "rollback", note: `to r${rev}` });
+    audit(null, { action: "log.rollback", actorId: ctx.user.id, before: `r${meta.rev - 1}`, after: `r${meta.rev}`, reason: `to r${rev}` });
+    await ctx.reply(`Manual log rolled back to r${rev} (saved as r${meta.rev}).`);
+  },
+});
+
+defineCommand({
+  name: "logsearch",
+  description: "Show which manual log passages would be retrieved for a query",
+  ephemeral: true,
+  options: [
+    { name: "query", type: "string", description: "Search text", required: true, rest: true },
+  ],
+  run: async (ctx, { query }) => {
+    const { chunks } = manualLogIndex;
+    if (!chunks.length) {
+      await ctx.reply("The manual log is empty.");
+      return;
+    }
+    // Like retrieveLogPassages: a log of LOG_TOP_K passages or fewer is sent
+    // whole, whatever the query.
+    const whole = chunks.length <= LOG_TOP_K;
+    const scored = searchLogIndex(manualLogIndex, query, whole ? chunks.length : LOG_TOP_K);
+    const results = whole ? chunks.map((chunk) => ({ chunk, score: scored.find((r) => r.chunk === chunk)?.score || 0 })) : scored;
+    if (!results.length) {
+      await ctx.reply(`No passages match. The log has ${chunks.length} passage(s).`);
+      return;
+    }
+    const blocks = results.map(({ chunk, score }) => {
+      const where = chunk.section ? ` – ${chunk.section}` : "";
+      const preview = chunk.text.length > 300 ? `${chunk.text.slice(0, 300)}…` : chunk.text;
+      return `**#${chunk.id}${where}** (${score ? `score ${score.toFixed(2)}` : "no match"})\n${preview}`;
+    });
+    const intro = whole ? `The log has only ${chunks.length} passage(s), so every one is sent with each reply:\n\n` : "";
+    await ctx.reply({ content: `${intro}${blocks.join("\n\n")}`, allowedMentions: { parse: [] } }, { filename: "logsearch.md" });
+  },
+});
+
+defineCommand({
+  name: "alias",
+  aliases: ["setalias"],
+  description: "Set the callsign the bot uses for a user",
+  capability: "alias.manage",
+  ephemeral: true,
+  options: [
+    { name: "user", type: "user", description: "User to alias", required: true },
+    { name: "callsign", type: "string", description: "Callsign to use", required: true, rest: true },
+  ],
+  run: async (ctx, { user, callsign }) => {
+    const before = aliasMap.get(user) ?? null;
+    aliasMap.set(user, callsign);
+    saveAliases();
+    audit(null, { action: "alias.set", actorId: ctx.user.id, targetId: user, before, after: callsign });
+    await ctx.reply({ content: `Alias set for <@${user}>: **${callsign}**`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "unalias",
+  description: "Remove a user's callsign",
+  capability: "alias.manage",
+  ephemeral: true,
+  options: [
+    { name: "target", type: "string", description: "User mention, ID or callsign", required: true, rest: true, autocomplete: aliasChoices },
+  ],
+  run: async (ctx, { target }) => {
+    const userId = resolveUserRef(target);
+    if (!userId || !aliasMap.has(userId)) {
+      await ctx.reply("That user has no alias.");
+      return;
+    }
+    const before = aliasMap.get(userId);
+    aliasMap.delete(userId);
+    saveAliases();
+    audit(null, { action: "alias.remove", actorId: ctx.user.id, targetId: userId, before });
+    await ctx.reply({ content: `Alias removed for <@${userId}>.`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "nick",
+  description: "Change a member's nickname",
+  capability: "nick.manage",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "user", type: "user", description: "Member to rename", required: true },
+    { name: "nickname", type: "string", description: "New nickname", required: true, rest: true },
+  ],
+  run: async (ctx, { user, nickname }) => {
+    const violation = nicknameViolation(ctx.guild.id, nickname);
+    if (violation) {
+      await ctx.reply(`That nickname is blocked by moderation (${violation}).`);
+      return;
+    }
+    try {
+      const member = await ctx.guild.members.fetch(user);
+      const before = member.nickname ?? null;
+      await member.setNickname(nickname);
+      audit(ctx.guild.id, { action: "nick.set", actorId: ctx.user.id, targetId: user, before, after: nickname });
+      await ctx.reply({ content: `Nickname for <@${user}> updated to **${nickname}**.`, allowedMentions: { parse: [] } });
+    } catch (e) {
+      await ctx.reply(`Could not change nickname: ${e.message}`);
+    }
+  },
+});
+
+defineCommand({
+  name: "createchannel",
+  description: "Create a text channel in this server",
+  capability: "channel.create",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "name", type: "string", description: "Channel name", required: true, rest: true },
+  ],
+  run: async (ctx, { name }) => {
+    const channelName = name.trim().split(/\s+/).join("-").toLowerCase();
+    const guild = ctx.guild;
+    try {
+      const channel = await guild.channels.create({
+        name: channelName,
+        type: 0, // 0 = GUILD_TEXT
+        permissionOverwrites: [
+          {
+            id: guild.roles.everyone.id,
+            allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages],
+          },
+        ],
+      });
+      audit(guild.id, { action: "channel.create", actorId: ctx.user.id, after: `#${channel.name} (${channel.id})` });
+      await ctx.reply(`Channel <#${channel.id}> created.`);
+    } catch (e) {
+      await ctx.reply(`Could not create channel: ${e.message}`);
+    }
+  },
+});
+
+defineCommand({
+  name: "parse",
+  description: "Digest documents into an intel brief, or analyse and compare attached images",
+  defer: true,
+  options: [
+    { name: "file", type: "attachment", description: "Document or image", required: true },
+    { name: "file2", type: "attachment", description: "Another document or image" },
+    { name: "file3", type: "attachment", description: "Another document or image" },
+    { name: "file4", type: "attachment", description: "Another document or image" },
+    { name: "digest", type: "boolean", description: "Digest documents even if they are short" },
+    { name: "tolog", type: "boolean", description: "Append the brief to the manual log (needs log.write)" },
+  ],
+  run: async (ctx, { digest, tolog }) => {
+    if (tolog && !ctx.can("log.write")) {
+      await ctx.reply("You need the `log.write` capability to append to the manual log.");
+      return;
+    }
+    // Parse attachments: short documents are shown as text, long ones are
+    // digested into an intel brief, and images are analysed by the model.
+    const { docs, errors } = await collectDocuments(ctx.attachments);
+    const images = await collectImageParts(ctx.attachments);
+    const sections = [];
+    if (errors.length) sections.push(describeDocErrors(errors));
+    const briefs = [];
+    // Whatever was read also feeds the knowledge graph, in the background so
+    // the reply isn't held up.
+    const learn = (doc, text) => {
+      const source = { channelId: ctx.channel.id, messageId: ctx.message?.id, userId: ctx.user.id, name: doc.name };
+      extractFromDocument(ctx.guild?.id, source, text).catch((e) => console.warn(`knowledge extraction from ${doc.name} failed:`, e.message));
+    };
+    for (const doc of docs) {
+      if (!digest && !tolog && doc.text.length <= DIGEST_MIN_CHARS) {
+        sections.push(`**Document text extracted from ${doc.name}** (${doc.format}):\n\n${doc.text}`);
+        learn(doc, doc.text);
+        continue;
+      }
+      const parts = digestChunks(doc).length;
+      if (parts > 1) await ctx.reply(`Digesting **${doc.name}** in ${parts} parts…`);
+      const brief = await digestDocument(ctx.guild?.id, doc);
+      briefs.push({ name: doc.name, brief });
+      sections.push({ name: doc.name, brief });
+      learn(doc, brief);
+    }
+    if (images.parts.length) {
+      const many = images.parts.length > 1;
+      const visionPrompt =
+        `Analyze the attached image(s) (${images.names.join(", ")}) in the context of this civil war setting. ` +
+        `Provide neutral observations and note any relevant intelligence.` +
+        (many ? ` Compare the images: point out what they have in common, how they differ and any changes between them.` : "");
+      const visionResponse = await respondWithIntel(ctx, visionPrompt, ctx.channel.id, {
+        images: images.parts,
+        maxTokens: many ? 500 : 300,
+      });
+      sections.push(visionResponse);
+      const note = await describeImagesForMemory(ctx.guild?.id, images.parts, images.names);
+      appendToMemory(ctx.channel.id, ctx.user.username, `[parsed ${images.parts.length} image(s): ${note}]`);
+    }
+    if (images.skipped.length) sections.push(`Skipped: ${images.skipped.join(", ")}.`);
+    if (tolog && briefs.length) {
+      const date = new Date().toISOString().slice(0, 10);
+      const addition = briefs.map((b) => b.brief.replace(/^# Intel brief: .*$/m, `# Digest: ${b.name} (${date})`)).join("\n\n");
+      const newLog = manualLog ? `${manualLog.replace(/\s+$/, "")}\n\n${addition}` : addition;
+      const meta = setManualLog(newLog, { authorId: ctx.user.id, author: ctx.user.username, action: "append", note: `digest of ${briefs.map((b) => b.name).join(", ")}` });
+      audit(null, { action: "log.append", actorId: ctx.user.id, before: `r${meta.rev - 1}`, after: `r${meta.rev}`, reason: meta.note });
+      sections.push(`Brief appended to the manual log (r${meta.rev}).`);
+    }
+    if (!sections.length) {
+      await ctx.reply("No supported attachments found to parse.");
+      return;
+    }
+    // Briefs go out as embeds and everything else as text, in order.
+    const payloads = [];
+    let text = [];
+    const moderate = (t) => moderateOutput(ctx.guild?.id, t, { channelId: ctx.channel.id, kind: "parse" });
+    const flushText = async () => {
+      if (text.length) payloads.push(await moderate(text.join("\n\n")));
+      text = [];
+    };
+    for (const section of sections) {
+      if (typeof section === "string") {
+        text.push(section);
+        continue;
+      }
+      await flushText();
+      const body = await moderate(section.brief.replace(/^# Intel brief: .*\n+/, ""));
+      payloads.push(...embedReply(`Intel brief: ${section.name}`, body, { filename: `brief-${section.name.replace(/\.[^.]+$/, "")}.md` }));
+    }
+    await flushText();
+    // Digests get a thread of their own so the discussion doesn't bury the
+    // channel, with the briefs in the thread's memory to talk about.
+    if (briefs.length) {
+      const names = briefs.map((b) => b.name).join(", ");
+      const anchor = ctx.message || (await ctx.reply(`Intel brief on ${names}.`));
+      const thread = await openThread(anchor, `Brief: ${names}`);
+      if (thread) {
+        await deliver((p) => thread.send(p), payloads, { filename: "parse.md" });
+        for (const b of briefs) appendToMemory(thread.id, MAJ_NAME, `[posted an intel brief on ${b.name}]\n${b.brief.slice(0, DIGEST_MEMORY_CHARS)}`);
+        return;
+      }
+    }
+    await ctx.reply(payloads, { filename: "parse.md" });
+  },
+});
+
+defineCommand({
+  name: "amnesty",
+  aliases: ["forgive"],
+  description: "Lift a maggot sentence and restore the member's nickname",
+  capability: "discipline",
+  guildOnly: true,
+  options: [
+    { name: "target", type: "string", description: "Sentenced member (mention, ID or callsign)", required: true, rest: true, autocomplete: maggotChoices },
+  ],
+  run: async (ctx, { target }) => {
+    const userId = resolveUserRef(target);
+    const record = userId ? await unmarkMaggot(ctx.guild, userId, { endedBy: ctx.user.id }) : null;
+    if (!record) {
+      await ctx.reply(`That user is not currently marked as a maggot.`);
+      return;
+    }
+    const restored = record.originalNick ? `**${record.originalNick}**` : "their account name";
+    const nickname = record.restoreError
+      ? `, but I couldn't restore their nickname to ${restored} (${record.restoreError}). Please change it by hand.`
+      : `; nickname restored to ${restored}.`;
+    await ctx.reply(`Amnesty granted to <@${userId}>. They are no longer a ${record.label}${nickname}`);
+  },
+});
+
+defineCommand({
+  name: "sentence",
+  description: "Sentence a member to a derogatory nickname, optionally for a set time",
+  capability: "discipline",
+  guildOnly: true,
+  options: [
+    { name: "user", type: "user", description: "Member to sentence", required: true },
+    { name: "duration", type: "duration", description: "How long, e.g. 30m, 2h, 1d (default: until amnesty)" },
+    { name: "nickname", type: "string", description: "Label to assign (default: random)", rest: true },
+  ],
+  run: async (ctx, { user, duration, nickname }) => {
+    const guild = ctx.guild;
+    if (getSentence(guild.id, user)) {
+      await ctx.reply("That user is already serving a sentence. Grant amnesty first.");
+      return;
+    }
+    const durationMs = duration ? parseDuration(duration) : null;
+    const label = (nickname || "").trim() || randomDegradeName(guild.id);
+    const violation = nicknameViolation(guild.id, label);
+    if (violation) {
+      await ctx.reply(`That nickname is blocked by moderation (${violation}).`);
+      return;
+    }
+    let member;
+    try {
+      member = await guild.members.fetch(user);
+    } catch (e) {
+      await ctx.reply(`Could not find that member: ${e.message}`);
+      return;
+    }
+    const record = await markMaggot(member, label, {
+      reason: `sentenced by ${ctx.user.username}`,
+      issuedBy: ctx.user.id,
+      durationMs,
+    });
+    if (!record) {
+      await ctx.reply("Could not change that member's nickname.");
+      return;
+    }
+    const term = durationMs ? ` for ${formatDuration(durationMs)}` : " until amnesty";
+    await ctx.reply(`<@${user}> is now **${label}**${term}.`);
+  },
+});
+
+defineCommand({
+  name: "sentences",
+  description: "List active sentences in this server",
+  guildOnly: true,
+  ephemeral: true,
+  run: async (ctx) => {
+    const active = [...maggots.values()].filter((r) => r.guildId === ctx.guild.id);
+    if (!active.length) {
+      await ctx.reply("No active sentences.");
+      return;
+    }
+    const now = Date.now();
+    const lines = active.map((r) => {
+      const term = r.expiresAt ? `${formatDuration(r.expiresAt - now)} left` : "until amnesty";
+      const reason = r.reason ? ` – ${r.reason}` : "";
+      return `• <@${r.userId}> as **${r.label}** (${term})${reason}`;
+    });
+    await ctx.reply({ content: `**Active sentences:**\n${lines.join("\n")}`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "memory",
+  description: "Show, clear or export what the bot remembers",
+  ephemeral: true,
+  options: [
+    { name: "action", type: "string", description: "show, clear, forget or export", required: true, choices: ["show", "clear", "forget", "export"] },
+    { name: "channel", type: "channel", description: "Channel to act on (default: this one)" },
+    { name: "user", type: "user", description: "Member to forget (forget only)" },
+    { name: "format", type: "string", description: "Export format (default: markdown)", choices: ["markdown", "json"] },
+  ],
+  run: async (ctx, { action, channel, user, format = "markdown" }) => {
+    // "!memory forget <id>" fills the channel option first; an ID that isn't
+    // a channel is the member to forget.
+    if (action === "forget" && channel && !user && !client.channels.cache.has(channel)) [user, channel] = [channel, undefined];
+    // In a DM the only scope is the user's own conversation with the bot,
+    // which they may always read and wipe.
+    const dm = !ctx.guild;
+    const channelId = dm ? ctx.channel.id : channel || ctx.channel.id;
+    const target = client.channels.cache.get(channelId);
+    if (!dm && target?.guildId !== ctx.guild.id) {
+      await ctx.reply("That channel is not in this server.");
+      return;
+    }
+    const title = dm ? `DMs with ${ctx.user.username}` : `#${target.name}`;
+    if (action === "show") {
+      await replyLong(ctx, memoryToMarkdown(channelId, title), `memory-${channelId}.md`);
+      return;
+    }
+    if (action === "export") {
+      const body = format === "json"
+        ? JSON.stringify({ channelId, turns: getMemory(channelId), summary: channelSummaries[channelId] || null }, null, 2)
+        : memoryToMarkdown(channelId, title);
+      const name = `memory-${channelId}.${format === "json" ? "json" : "md"}`;
+      await ctx.reply({ content: `Memory export for ${title}.`, files: [{ attachment: Buffer.from(body, "utf8"), name }] });
+      return;
+    }
+    if (dm) {
+      await ctx.reply(clearChannelMemory(channelId) ? "Our conversation is forgotten." : "Nothing remembered here.");
+      return;
+    }
+    if (action === "forget") {
+      // Members may always ask to be forgotten themselves.
+      const userId = user || ctx.user.id;
+      if (userId !== ctx.user.id && !ctx.can("memory.manage")) {
+        await ctx.reply("You need the `memory.manage` capability to make the bot forget someone else.");
+        return;
+      }
+      const r = await forgetUser(ctx.guild.id, userId);
+      audit(ctx.guild.id, { action: "memory.forget", actorId: ctx.user.id, targetId: userId, reason: `${r.turns} turn(s), ${r.summaries} summaries, ${r.reports} report(s)${r.dossier ? ", dossier" : ""}` });
+      const parts = [`${r.turns} turn(s)`, `${r.summaries} channel summar${r.summaries === 1 ? "y" : "ies"}`, `${r.reports} field report(s)`];
+      if (r.dossier) parts.push("their dossier");
+      await ctx.reply({
+        content: `Forgot <@${userId}>: ${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}.`,
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+    if (!ctx.can("memory.manage")) {
+      await ctx.reply("You need the `memory.manage` capability to do that.");
+      return;
+    }
+    const cleared = clearChannelMemory(channelId);
+    if (cleared) audit(ctx.guild.id, { action: "memory.clear", actorId: ctx.user.id, reason: title });
+    await ctx.reply(cleared ? `Memory of <#${channelId}> cleared.` : `Nothing remembered in <#${channelId}>.`);
+  },
+});
+
+defineCommand({
+  name: "dossier",
+  description: "View a member's dossier, or edit it",
+  guildOnly: true,
+  options: [
+    { name: "action", type: "string", description: "view (default) or edit", choices: ["view", "edit"] },
+    { name: "user", type: "user", description: "Whose dossier (default: yours)" },
+    { name: "op", type: "string", description: "When editing: add, remove or clear", choices: ["add", "remove", "clear"] },
+    { name: "text", type: "string", description: "Fact to add, or the number of the fact to remove", rest: true },
+  ],
+  run: async (ctx, { action = "view", user, op, text }) => {
+    const guildId = ctx.guild.id;
+    const userId = user || ctx.user.id;
+    const dossier = getDossier(guildId, userId);
+    if (action === "view") {
+      if (!dossier?.facts.length) {
+        await ctx.reply({ content: `No dossier on <@${userId}> yet.`, allowedMentions: { parse: [] } });
+        return;
+      }
+      const lines = dossier.facts.map((f, i) => `${i + 1}. ${f.text}${f.source === "auto" ? "" : " *(on file)*"}`);
+      const updated = dossier.updatedAt ? ` · updated ${dossier.updatedAt.slice(0, 10)}` : "";
+      await ctx.reply(embedReply(`Dossier: ${dossier.callsign}`, lines.join("\n"), { filename: `dossier-${userId}.md`, footer: `${lines.length} fact(s)${updated}` }));
+      return;
+    }
+    if (!ctx.can("dossier.manage")) {
+      await ctx.reply("You need the `dossier.manage` capability to do that.");
+      return;
+    }
+    if (!user || !op) {
+      await ctx.reply("Usage: !dossier edit <user> add <fact> | remove <number> | clear");
+      return;
+    }
+    if (op === "add") {
+      if (!text) {
+        await ctx.reply("Usage: !dossier edit <user> add <fact>");
+        return;
+      }
+      const callsign = aliasMap.get(userId) || (await ctx.guild.members.fetch(userId).catch(() => null))?.displayName || dossier?.callsign || userId;
+      const added = addDossierFact(guildId, userId, callsign, text, ctx.user.id);
+      saveDossiers();
+      if (added) audit(guildId, { action: "dossier.add", actorId: ctx.user.id, targetId: userId, after: text });
+      await ctx.reply(added ? `Added to ${callsign}'s dossier.` : "That fact is already on file.");
+      return;
+    }
+    if (!dossier?.facts.length) {
+      await ctx.reply({ content: `No dossier on <@${userId}> yet.`, allowedMentions: { parse: [] } });
+      return;
+    }
+    if (op === "clear") {
+      delete dossiers[guildId][userId];
+      saveDossiers();
+      audit(guildId, { action: "dossier.clear", actorId: ctx.user.id, targetId: userId, before: `${dossier.facts.length} fact(s)` });
+      await ctx.reply(`Dossier on ${dossier.callsign} cleared.`);
+      return;
+    }
+    const n = Number(text);
+    if (!Number.isInteger(n) || n < 1 || n > dossier.facts.length) {
+      await ctx.reply(`Give the number of the fact to remove (1-${dossier.facts.length}).`);
+      return;
+    }
+    const [removed] = dossier.facts.splice(n - 1, 1);
+    dossier.updatedAt = new Date().toISOString();
+    saveDossiers();
+    audit(guildId, { action: "dossier.remove", actorId: ctx.user.id, targetId: userId, before: removed.text });
+    await ctx.reply(`Removed: ${removed.text}`);
+  },
+});
+
+// Full write-up of one entity for !whois and !intel, as an embed title and
+// text.
+function entityTitle(entity) {
+  return `${entity.name} (${entity.type}, ${percent(entity.confidence)} confidence)`;
+}
+// The embed for !whois and !intel. Names, aliases and facts were written by
+// the model, so the report is moderated like a reply before it is posted.
+async function intelEmbed(guildId, channelId, entity, text, filename) {
+  const body = await moderateOutput(guildId, text.trim() || "No details on file.", { channelId, kind: "intel" });
+  return embedReply(redactText(guildId, entityTitle(entity)), body, { filename });
+}
+
+function entityReport(guildId, entity) {
+  const lines = [];
+  if (entity.aliases.length) lines.push(`Also known as: ${entity.aliases.join(", ")}`);
+  const facts = [...entity.facts].sort((a, b) => b.confidence - a.confidence);
+  if (facts.length) lines.push("", "**Facts**", ...facts.map((f) => `- ${f.text} – ${percent(f.confidence)} ${sourceRefs(guildId, f.sources)}`));
+  if (entity.sources.length) lines.push("", `Sources: ${sourceRefs(guildId, entity.sources)}`);
+  return lines.join("\n").trim();
+}
+
+defineCommand({
+  name: "whois",
+  description: "What field intel says about a person, unit, place, event or faction",
+  guildOnly: true,
+  options: [{ name: "name", type: "string", description: "Name or alias", required: true, rest: true, autocomplete: entityChoices }],
+  run: async (ctx, { name }) => {
+    const guildId = ctx.guild.id;
+    const entity = findEntity(guildId, name);
+    if (!entity) {
+      await ctx.reply({ content: `No intel on ${name}.`, allowedMentions: { parse: [] } });
+      return;
+    }
+    const links = entityLinks(guildId, entity.key).map((l) => `- ${describeLink(guildId, l, entity.name)} – ${percent(l.confidence)} ${sourceRefs(guildId, l.sources)}`);
+    const text = entityReport(guildId, entity) + (links.length ? `\n\n**Links**\n${links.join("\n")}` : "");
+    await ctx.reply(await intelEmbed(guildId, ctx.channel.id, entity, text, `whois-${entity.key}.md`));
+  },
+});
+
+defineCommand({
+  name: "intel",
+  description: "Field intel on a faction, or how two entities are connected",
+  guildOnly: true,
+  options: [
+    { name: "action", type: "string", description: "overview (default) or links", choices: ["overview", "links"] },
+    { name: "name", type: "string", description: "Faction, or for links the first entity (quote names with spaces)", required: true, rest: true, autocomplete: entityChoices },
+    { name: "other", type: "string", description: "For links: the second entity", autocomplete: entityChoices },
+  ],
+  run: async (ctx, { action = "overview", name, other }) => {
+    const guildId = ctx.guild.id;
+    if (action === "links") {
+      // Prefix commands pass both names in one rest option.
+      let [a, b] = [name, other];
+      if (!b) {
+        const tokens = tokenize(name).map((t) => t.value);
+        if (tokens.length !== 2) {
+          await ctx.reply('Usage: !intel links "<first>" "<second>" (quote names with spaces)');
+          return;
+        }
+        [a, b] = tokens;
+      }
+      const from = findEntity(guildId, a);
+      const to = findEntity(guildId, b);
+      const missing = [[a, from], [b, to]].filter(([, e]) => !e).map(([n]) => n);
+      if (missing.length) {
+        await ctx.reply({ content: `No intel on ${missing.join(" or ")}.`, allowedMentions: { parse: [] } });
+        return;
+      }
+      const paths = findEntityPaths(guildId, from.key, to.key);
+      if (!paths.length) {
+        await ctx.reply(redactText(guildId, `No known connection between ${from.name} and ${to.name} within ${GRAPH_PATH_DEPTH} steps.`));
+        return;
+      }
+      const lines = paths.map((path) => {
+        const chain = path.map((step, i) => {
+          if (!i) return `**${entityName(guildId, step.key)}**`;
+          const arrow = step.link.outgoing ? ` —${step.link.relation}→ ` : ` ←${step.link.relation}— `;
+          return `${arrow}**${entityName(guildId, step.key)}**`;
+        });
+        // A chain is only as certain as its weakest link.
+        const confidence = Math.min(...path.slice(1).map((s) => s.link.confidence));
+        return `- ${chain.join("")} (${percent(confidence)})`;
+      });
+      const report = await moderateOutput(guildId, `**${from.name} ↔ ${to.name}**\n${lines.join("\n")}`, { channelId: ctx.channel.id, kind: "intel" });
+      await replyLong(ctx, report, "intel-links.md");
+      return;
+    }
+    const entity = findEntity(guildId, name);
+    if (!entity) {
+      const factions = Object.values(knowledge[guildId]?.entities || {}).filter((e) => e.type === "faction").map((e) => e.name);
+      await ctx.reply({ content: redactText(guildId, `No intel on ${name}.${factions.length ? ` Known factions: ${factions.join(", ")}.` : ""}`), allowedMentions: { parse: [] } });
+      return;
+    }
+    // Group everything linked to the faction by type.
+    const groups = new Map(GRAPH_TYPES.map((t) => [t, []]));
+    for (const l of entityLinks(guildId, entity.key)) {
+      const type = knowledge[guildId].entities[l.other]?.type;
+      if (groups.has(type)) groups.get(type).push(`${entityName(guildId, l.other)} (${l.relation}, ${percent(l.confidence)})`);
+    }
+    const sections = [...groups]
+      .filter(([, items]) => items.length)
+      .map(([type, items]) => `**${type[0].toUpperCase()}${type.slice(1)}s:** ${items.join("; ")}`);
+    const text = entityReport(guildId, entity) + (sections.length ? `\n\n**Connected**\n${sections.join("\n")}` : "");
+    await ctx.reply(await intelEmbed(guildId, ctx.channel.id, entity, text, `intel-${entity.key}.md`));
+  },
+});
+
+defineCommand({
+  name: "report",
+  description: "File a field report, or confirm, reject or retract one",
+  guildOnly: true,
+  defer: true,
+  modal: { title: "Field report", fields: ["faction", "location", "claim", "reliability", "when"] },
+  options: [
+    { name: "action", type: "string", description: "file (default), confirm, reject or retract", choices: ["file", "confirm", "reject", "retract"] },
+    { name: "id", type: "integer", description: "Report number, for confirm, reject and retract" },
+    { name: "faction", type: "string", description: "Faction or unit the report is about", autocomplete: reportFactionChoices },
+    { name: "location", type: "string", description: "Where it was seen, or - (quote names with spaces)" },
+    { name: "claim", type: "string", description: "What was seen or heard", rest: true },
+    { name: "reliability", type: "string", description: "Source reliability, A (reliable) to F (can't judge)", choices: Object.entries(SOURCE_RELIABILITY).map(([value, name]) => ({ name: `${value} – ${name}`, value })), flag: true },
+    { name: "when", type: "string", description: "When it was observed: how long ago (e.g. 3h) or a date (default: now)", flag: true },
+  ],
+  run: async (ctx, { action = "file", id, faction, location, claim, reliability = "F", when }) => {
+    const guildId = ctx.guild.id;
+    if (action !== "file") {
+      const report = id ? findReport(guildId, id) : null;
+      if (!report) {
+        await ctx.reply(id ? `No report #${id}.` : `Usage: !report ${action} <number> (see !reports)`);
+        return;
+      }
+      const own = report.reporterId === ctx.user.id;
+      if (!ctx.can("report.verify") && !(action === "retract" && own)) {
+        await ctx.reply(action === "retract" ? "Only the reporter or someone with `report.verify` can retract a report." : "You need the `report.verify` capability to do that.");
+        return;
+      }
+      const status = { confirm: "confirmed", reject: "rejected", retract: "retracted" }[action];
+      const before = report.status;
+      resolveReport(guildId, report, status, ctx.user.id);
+      audit(guildId, { action: `report.${action}`, actorId: ctx.user.id, targetId: report.reporterId, before, after: status, reason: reportHeading(report) });
+      const still = report.status === "confirmed" ? report.conflicts.filter((c) => typeof c.ref === "number" && reportIsLive(findReport(guildId, c.ref))) : [];
+      const note = still.length ? ` It still conflicts with ${still.map((c) => `#${c.ref}`).join(", ")}; reject those if they're wrong.` : "";
+      await ctx.reply(`Report ${reportHeading(report)} marked ${status}.${note}`);
+      return;
+    }
+    if (!faction || !claim) {
+      await ctx.reply('Usage: !report "<faction>" "<location>" <claim> [--reliability A-F] [--when 3h]\nUse - for an unknown location.');
+      return;
+    }
+    const observedAt = parseReportTime(when);
+    if (observedAt === null) {
+      await ctx.reply("Give --when as how long ago (e.g. 3h) or a date.");
+      return;
+    }
+    // Use the graph's name for a faction or unit when the reporter used an
+    // alias, so reports on "TFR" and "Task Force Reaper" line up, and
+    // otherwise the spelling of earlier reports.
+    const known = findEntity(guildId, faction);
+    const previous = guildReports(guildId).find((r) => entityKey(r.faction) === entityKey(faction));
+    const { report, checked } = await fileReport(guildId, {
+      faction: known && ["faction", "unit"].includes(known.type) ? known.name : previous?.faction || faction.trim(),
+      location: !location || location === "-" ? "" : location.trim(),
+      claim: claim.trim().slice(0, 1000),
+      reliability,
+      observedAt: new Date(observedAt).toISOString(),
+      reporterId: ctx.user.id,
+      reporter: aliasMap.get(ctx.user.id) || ctx.member?.displayName || ctx.user.username,
+      channelId: ctx.channel.id,
+      messageId: ctx.message?.id,
+    });
+    const lines = [`Report ${reportHeading(report)} filed (source ${reliability} – ${SOURCE_RELIABILITY[reliability]}).`];
+    if (!checked) lines.push("I couldn't cross-check it just now; it stays unverified.");
+    if (report.conflicts.length) {
+      const who = (c) => (typeof c.ref === "number" ? ` (filed by ${findReport(guildId, c.ref).reporter})` : "");
+      lines.push("⚠️ This contradicts:", ...report.conflicts.map((c) => `- ${describeConflict(c)}${who(c)}`));
+      lines.push(`Can anyone confirm? Someone with \`report.verify\` can settle it with \`!report confirm ${report.id}\` or \`!report reject ${report.id}\`.`);
+    }
+    const sent = await ctx.reply({ content: lines.join("\n"), allowedMentions: { parse: [] } });
+    if (!report.conflicts.length) return;
+    // Take the debate to a thread that starts out knowing the reports.
+    const thread = await openThread(sent, `Dispute: report #${report.id}`);
+    if (thread) {
+      const context = [`${reportHeading(report)}: ${report.claim}`, ...report.conflicts.map(describeConflict)].join("\n");
+      appendToMemory(thread.id, MAJ_NAME, `[opened to settle a disputed field report]\n${context}`);
+      await deliver((p) => thread.send(p), `Discuss report #${report.id} here. What can anyone confirm?`);
+    }
+  },
+});
 
-  // Only the creator can perform privileged commands like !loadlog or !alias modifications.
-  const isCreator = () => CREATOR_ID && message.author.id === CREATOR_ID;
+defineCommand({
+  name: "reports",
+  description: "List field reports and their verification status",
+  guildOnly: true,
+  options: [
+    { name: "faction", type: "string", description: "Only reports on this faction or unit", rest: true, autocomplete: reportFactionChoices },
+    { name: "status", type: "string", description: "Only reports with this status", choices: REPORT_STATUSES, flag: true },
+  ],
+  run: async (ctx, { faction, status }) => {
+    const guildId = ctx.guild.id;
+    const key = faction ? entityKey(findEntity(guildId, faction)?.name || faction) : null;
+    const matching = guildReports(guildId)
+      .filter((r) => (!key || entityKey(r.faction) === key) && (!status || r.status === status))
+      .reverse();
+    if (!matching.length) {
+      await ctx.reply({ content: `No field reports${faction ? ` on ${faction}` : ""}${status ? ` marked ${status}` : ""}.`, allowedMentions: { parse: [] } });
+      return;
+    }
+    const now = Date.now();
+    const entries = matching.slice(0, REPORT_LIST_LIMIT).map((r) => {
+      const lines = [`**#${r.id}** · ${r.status} · ${r.faction}${r.location ? ` @ ${r.location}` : ""} · source ${r.reliability} · observed ${formatDuration(now - Date.parse(r.observedAt))} ago · by ${r.reporter}`, `> ${r.claim}`];
+      if (r.status === "disputed") lines.push(...r.conflicts.map((c) => `⚠️ ${describeConflict(c)}`));
+      return lines.join("\n");
+    });
+    const more = matching.length > REPORT_LIST_LIMIT ? `\n\n*Showing the newest ${REPORT_LIST_LIMIT} of ${matching.length}.*` : "";
+    await replyLong(ctx, `**Field reports${faction ? `: ${faction}` : ""}**\n\n${entries.join("\n\n")}${more}`, "reports.md");
+  },
+});
 
-  if (lower === "loadlog") {
-    if (!isCreator()) {
-      await message.reply("Only the creator can load a manual log.");
+defineCommand({
+  name: "character",
+  aliases: ["npc"],
+  description: "List, show or manage the NPC cast",
+  guildOnly: true,
+  options: [
+    { name: "action", type: "string", description: "list (default), show, add, edit or remove", choices: ["list", "show", "add", "edit", "remove"] },
+    { name: "name", type: "string", description: "Character name (quote names with spaces)", autocomplete: characterChoices },
+    { name: "field", type: "string", description: "When editing: the field to change", choices: CHARACTER_FIELDS },
+    { name: "value", type: "string", description: "Persona text when adding; the new value when editing", rest: true },
+  ],
+  run: async (ctx, { action = "list", name, field, value }) => {
+    const guildId = ctx.guild.id;
+    if (action === "list") {
+      const cast = Object.values(characters[guildId] || {});
+      if (!cast.length) {
+        await ctx.reply(`No cast yet; ${MAJ_NAME} works alone. Add one with !character add "<name>" <persona>.`);
+        return;
+      }
+      const lines = cast.map((c) => `**${c.name}** – ${c.channels.length ? c.channels.map((id) => `<#${id}>`).join(", ") : "all channels"}; answers to ${c.triggers.join(", ")}`);
+      await ctx.reply({ content: `**Cast:**\n${lines.join("\n")}`, allowedMentions: { parse: [] } });
       return;
     }
-    // If the command includes text after 'loadlog', use that; otherwise try attachments.
-    const text = rest.join(" ").trim();
-    let newLog = text;
-    if (!newLog) newLog = await collectDocText(message);
-    if (!newLog) {
-      await message.reply("No log text provided. Attach a .txt/.md/.pdf or include text after !loadlog.");
+    if (!name) {
+      await ctx.reply(`Usage: !character ${action} <name>${action === "add" ? " <persona>" : action === "edit" ? " <field> <value>" : ""}`);
       return;
     }
-    setManualLog(newLog);
-    await message.reply("Manual log updated.");
-    return;
-  }
-  if (lower === "alias" || lower === "setalias") {
-    if (!isCreator()) {
-      await message.reply("Only the creator can set aliases.");
+    const existing = findCharacter(guildId, name);
+    if (action === "show") {
+      if (!existing) {
+        await ctx.reply(`No character called ${name}.`);
+        return;
+      }
+      const c = existing;
+      await replyLong(
+        ctx,
+        [
+          `**${c.name}**`,
+          `Persona: ${c.persona}`,
+          `Channels: ${c.channels.length ? c.channels.map((id) => `#${client.channels.cache.get(id)?.name || id}`).join(", ") : "all"}`,
+          `Triggers: ${c.triggers.join(", ")}`,
+          `Keywords: ${c.keywords.join(", ") || "(none)"}`,
+          `Memory: ${c.memory}`,
+          `Avatar: ${c.avatar || "(default)"}`,
+        ].join("\n"),
+        `character-${c.slug}.md`
+      );
       return;
     }
-    if (rest.length < 2) {
-      await message.reply("Usage: !alias @user callsign");
+    if (!ctx.can("character.manage")) {
+      await ctx.reply("You need the `character.manage` capability to do that.");
       return;
     }
-    const mention = rest[0];
-    const match = mention.match(/<@!?(\d+)>/);
-    if (!match) {
-      await message.reply("Please mention a user to set an alias.");
+    if (action === "add") {
+      const slug = characterSlug(name);
+      if (!slug || slug === characterSlug(MAJ_NAME)) {
+        await ctx.reply("Pick another name for that character.");
+        return;
+      }
+      if (existing) {
+        await ctx.reply(`${existing.name} is already in the cast; use !character edit.`);
+        return;
+      }
+      if (!value) {
+        await ctx.reply(`Usage: !character add "${name}" <persona>`);
+        return;
+      }
+      // Answer to the full name and, for multi-word names, the last word.
+      const lower = name.trim().toLowerCase();
+      const triggers = [...new Set([lower, lower.split(/\s+/).pop()])];
+      if (!characters[guildId]) characters[guildId] = {};
+      characters[guildId][slug] = {
+        name: name.trim(),
+        persona: value.trim(),
+        avatar: "",
+        channels: [],
+        triggers,
+        keywords: [],
+        memory: "channel",
+        createdBy: ctx.user.id,
+        updatedAt: new Date().toISOString(),
+      };
+      saveCharacters();
+      audit(guildId, { action: "character.add", actorId: ctx.user.id, after: name.trim() });
+      await ctx.reply(`${name.trim()} joins the cast, answering to ${triggers.join(", ")}. Set channels, keywords and an avatar with !character edit.`);
       return;
     }
-    const userId = match[1];
-    const callsign = rest.slice(1).join(" ");
-    aliasMap.set(userId, callsign);
-    saveAliases();
-    await message.reply(`Alias set for ${mention}: **${callsign}**`);
-    return;
-  }
-  if (lower === "unalias") {
-    if (!isCreator()) {
-      await message.reply("Only the creator can remove aliases.");
+    if (!existing) {
+      await ctx.reply(`No character called ${name}.`);
       return;
     }
-    if (rest.length < 1) {
-      await message.reply("Usage: !unalias @user");
+    if (action === "remove") {
+      delete characters[guildId][existing.slug];
+      saveCharacters();
+      audit(guildId, { action: "character.remove", actorId: ctx.user.id, before: existing.name });
+      await ctx.reply(`${existing.name} has left the cast.`);
       return;
     }
-    const mention = rest[0];
-    const match = mention.match(/<@!?(\d+)>/);
-    if (!match) {
-      await message.reply("Please mention a user to remove an alias.");
+    if (!field) {
+      await ctx.reply(`Usage: !character edit "${existing.name}" <field> <value>\nFields: ${CHARACTER_FIELDS.join(", ")}`);
       return;
     }
-    const userId = match[1];
-    aliasMap.delete(userId);
-    saveAliases();
-    await message.reply(`Alias removed for ${mention}.`);
-    return;
-  }
-  if (lower === "nick") {
-    // Change a member's nickname. Only the creator can do this.
-    if (!isCreator()) {
-      await message.reply("Only the creator can change nicknames.");
+    const parsed = parseCharacterField(field, value);
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
       return;
     }
-    if (rest.length < 2) {
-      await message.reply("Usage: !nick @user newNickname");
+    // The slug stays put on rename so memory and cast posts still match.
+    const record = characters[guildId][existing.slug];
+    const before = record[field];
+    record[field] = parsed.value;
+    record.updatedAt = new Date().toISOString();
+    saveCharacters();
+    const show = (v) => (Array.isArray(v) ? v.join(", ") || "(none)" : v || "(none)");
+    audit(guildId, { action: "character.edit", actorId: ctx.user.id, before: show(before), after: show(parsed.value), reason: `${existing.name}: ${field}` });
+    await ctx.reply({ content: `${record.name}'s ${field} is now ${field === "channels" && parsed.value.length ? parsed.value.map((id) => `<#${id}>`).join(", ") : show(parsed.value)}.`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "mood",
+  description: "Show the persona's mood here and why, or force one for a scene",
+  options: [
+    { name: "action", type: "string", description: "show, history, set or reset (default: show)", choices: ["show", "history", "set", "reset"] },
+    { name: "state", type: "string", description: "Mood to force (set only)", choices: PERSONA_STATES.map((s) => s.name) },
+    { name: "duration", type: "duration", description: "How long to hold it, e.g. 30m, 2h (default: 1h)" },
+  ],
+  run: async (ctx, { action = "show", state, duration }) => {
+    const guildId = ctx.guild?.id ?? null;
+    const channelId = ctx.channel.id;
+    const where = ctx.guild ? `<#${channelId}>` : "our DMs";
+    if (action === "set" || action === "reset") {
+      if (!ctx.guild) {
+        await ctx.reply("Moods can only be forced in a server.");
+        return;
+      }
+      if (!ctx.can("mood.manage")) {
+        await ctx.reply("You need the `mood.manage` capability to do that.");
+        return;
+      }
+      const before = currentMood(channelId, guildId).mood;
+      if (action === "reset") {
+        const after = resetMood(channelId, guildId, ctx.user.id);
+        audit(guildId, { action: "mood.reset", actorId: ctx.user.id, before, after: after.mood, reason: `#${ctx.channel.name}` });
+        await ctx.reply(`Mood in ${where} back to **${after.mood}** (${after.detail}).`);
+        return;
+      }
+      if (!state) {
+        await ctx.reply(`Usage: !mood set <${PERSONA_STATES.map((s) => s.name).join("|")}> [duration]`);
+        return;
+      }
+      const durationMs = duration ? parseDuration(duration) : MOOD_FORCE_DEFAULT_MS;
+      forceMood(channelId, guildId, state, durationMs, ctx.user.id);
+      audit(guildId, { action: "mood.set", actorId: ctx.user.id, before, after: state, reason: `#${ctx.channel.name} for ${formatDuration(durationMs)}` });
+      await ctx.reply(`Mood in ${where} set to **${state}** for ${formatDuration(durationMs)}. Events won't change it until then.`);
       return;
     }
-    const mention = rest[0];
-    const match = mention.match(/<@!?(\d+)>/);
-    if (!match) {
-      await message.reply("Please mention a user to change their nickname.");
+    const current = currentMood(channelId, guildId);
+    if (action === "history") {
+      const lines = current.history.slice(-15).reverse().map(describeMoodChange);
+      await ctx.reply({
+        content: lines.length ? `**Mood changes in ${where}** (newest first):\n${lines.join("\n")}` : `The mood in ${where} hasn't changed yet.`,
+        allowedMentions: { parse: [] },
+      });
       return;
     }
-    const userId = match[1];
-    const newNick = rest.slice(1).join(" ");
-    const guild = message.guild;
-    if (!guild) {
-      await message.reply("This command must be run in a guild.");
+    const persona = personaState(current.mood);
+    const baseline = baselineMood(guildId);
+    const left = current.until ? formatDuration(current.until - Date.now()) : null;
+    const outlook = !current.until
+      ? `Baseline for the time of day (${baseline.reason}).`
+      : current.forced
+        ? `Forced by <@${current.by}>; ${left} left, then ${baseline.mood}.`
+        : `Decays to ${baseline.mood} (${baseline.reason}) in ${left} unless it happens again.`;
+    await ctx.reply({
+      content: [
+        `**Mood in ${where}:** ${persona.name} (temperature ${persona.temperature}), since ${formatDuration(Date.now() - current.since)} ago`,
+        `**Why:** ${current.event}${current.detail ? ` – ${current.detail}` : ""}`,
+        outlook,
+        `**Tone:** ${persona.style}`,
+      ].join("\n"),
+      allowedMentions: { parse: [] },
+    });
+  },
+});
+
+defineCommand({
+  name: "sitrep",
+  description: "Schedule situation reports or compile one now",
+  guildOnly: true,
+  defer: true,
+  options: [
+    { name: "action", type: "string", description: "schedule, now, list or cancel", required: true, choices: ["schedule", "now", "list", "cancel"] },
+    { name: "channel", type: "channel", description: "Channel to post reports in" },
+    { name: "spec", type: "string", description: "Cron expression in UTC, e.g. \"0 18 * * *\" (schedule) or schedule ID (cancel)", rest: true },
+  ],
+  run: async (ctx, { action, channel, spec }) => {
+    const guildId = ctx.guild.id;
+    const mine = sitrepSchedules.filter((s) => s.guildId === guildId);
+    if (action === "now") {
+      const report = await buildSitrep(ctx.guild, Date.now() - SITREP_DEFAULT_SPAN_MS, { note: "on demand" });
+      await ctx.reply(report);
       return;
     }
-    try {
-      const member = await guild.members.fetch(userId);
-      await member.setNickname(newNick);
-      await message.reply(`Nickname for ${mention} updated to **${newNick}**.`);
-    } catch (e) {
-      await message.reply(`Could not change nickname: ${e.message}`);
+    if (action === "list") {
+      const lines = mine.map((s) => {
+        const next = nextCronTime(s.cron, Date.now());
+        return `\`${s.id}\` <#${s.channelId}> \`${s.cron}\` – next ${next ? `<t:${Math.floor(next / 1000)}:R>` : "never"}`;
+      });
+      await ctx.reply(lines.length ? `**SITREP schedules:**\n${lines.join("\n")}` : "No SITREPs scheduled.");
+      return;
     }
-    return;
-  }
-  if (lower === "createchannel") {
-    // Create a text channel under the same guild. Only the creator can do this.
-    if (!isCreator()) {
-      await message.reply("Only the creator can create channels.");
+    if (!ctx.can("sitrep.manage")) {
+      await ctx.reply("You need the `sitrep.manage` capability to do that.");
       return;
     }
-    if (rest.length < 1) {
-      await message.reply("Usage: !createchannel channel-name");
+    if (action === "cancel") {
+      const i = sitrepSchedules.findIndex((s) => s.guildId === guildId && String(s.id) === String(spec || "").trim());
+      if (i === -1) {
+        await ctx.reply("Usage: !sitrep cancel <id> (see !sitrep list)");
+        return;
+      }
+      const [removed] = sitrepSchedules.splice(i, 1);
+      saveSitreps();
+      audit(guildId, { action: "sitrep.cancel", actorId: ctx.user.id, before: `${removed.cron} in #${client.channels.cache.get(removed.channelId)?.name || removed.channelId}`, reason: `schedule ${removed.id}` });
+      await ctx.reply(`Cancelled SITREP \`${removed.id}\` for <#${removed.channelId}>.`);
       return;
     }
-    const channelName = rest.join("-").toLowerCase();
-    const guild = message.guild;
-    if (!guild) {
-      await message.reply("This command must be run in a guild.");
+    if (!channel || !spec) {
+      await ctx.reply("Usage: !sitrep schedule <channel> <cron>, e.g. !sitrep schedule #intel 0 18 * * *");
       return;
     }
+    let next;
     try {
-      const channel = await guild.channels.create({
-        name: channelName,
-        type: 0, // 0 = GUILD_TEXT
-        permissionOverwrites: [
-          {
-            id: guild.roles.everyone.id,
-            allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages],
-          },
-        ],
-      });
-      await message.reply(`Channel <#${channel.id}> created.`);
+      next = nextCronTime(spec, Date.now());
     } catch (e) {
-      await message.reply(`Could not create channel: ${e.message}`);
-    }
-    return;
-  }
-  if (lower === "parse") {
-    // Parse attachments: extracts text from PDFs/TXT/MD or summarises images.
-    const docText = await collectDocText(message);
-    const imageParts = await collectImageParts(message);
-    let response = "";
-    if (docText) {
-      response += `**Document text extracted:**\n\n${docText.slice(0, 1500)}${docText.length > 1500 ? "\n…(truncated)" : ""}`;
+      await ctx.reply(`Invalid cron expression: ${e.message}`);
+      return;
     }
-    if (imageParts.length) {
-      const visionPrompt = `Analyze the attached image(s) in the context of this civil war setting. Provide neutral observations and note any relevant intelligence.`;
-      const visionResponse = await respondWithIntel(message, visionPrompt, message.channel.id);
-      response += (response ? "\n\n" : "") + visionResponse;
+    if (next === null) {
+      await ctx.reply("That cron expression never fires.");
+      return;
     }
-    if (!response) {
-      response = "No supported attachments found to parse.";
+    if (client.channels.cache.get(channel)?.guildId !== guildId) {
+      await ctx.reply("That channel is not in this server.");
+      return;
     }
-    await message.reply(response);
-    return;
-  }
+    const schedule = {
+      id: Math.max(0, ...sitrepSchedules.map((s) => s.id)) + 1,
+      guildId,
+      channelId: channel,
+      cron: spec.trim(),
+      createdBy: ctx.user.id,
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+    };
+    sitrepSchedules.push(schedule);
+    saveSitreps();
+    audit(guildId, { action: "sitrep.schedule", actorId: ctx.user.id, after: `${schedule.cron} in #${client.channels.cache.get(channel).name}`, reason: `schedule ${schedule.id}` });
+    await ctx.reply(`SITREP \`${schedule.id}\` scheduled for <#${channel}> (\`${schedule.cron}\` UTC); first report <t:${Math.floor(next / 1000)}:R>.`);
+  },
+});
 
-  if (lower === "amnesty" || lower === "forgive") {
-    // Creator-only command to remove the maggot status from a user.
-    if (!isCreator()) {
-      await message.reply("Only the creator can forgive a maggot.");
+defineCommand({
+  name: "config",
+  description: "View or change bot settings for this server or a channel",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "action", type: "string", description: "list, get, set or reset", required: true, choices: ["list", "get", "set", "reset"] },
+    { name: "key", type: "string", description: "Setting name", choices: Object.keys(CONFIG_SCHEMA) },
+    { name: "value", type: "string", description: "New value (lists: a, b, c or +item / -item)", rest: true },
+    { name: "channel", type: "channel", description: "Apply to this channel instead of the whole server", flag: true },
+  ],
+  run: async (ctx, { action, key, value, channel }) => {
+    const guildId = ctx.guild.id;
+    const channelId = channel || null;
+    const where = channelId ? `<#${channelId}>` : "this server";
+    if (action === "list") {
+      const lines = Object.entries(CONFIG_SCHEMA).map(([k, schema]) => {
+        const source = settingSource(k, guildId, channelId);
+        const note = source === "default" ? "" : ` *(${source})*`;
+        return `\`${k}\` = ${formatSetting(getSetting(k, guildId, channelId), k)}${note} – ${schema.description}`;
+      });
+      await ctx.reply({ content: `**Settings for ${where}:**\n${lines.join("\n")}`, allowedMentions: { parse: [] } });
+      return;
+    }
+    if (!key) {
+      await ctx.reply(`Usage: !config ${action} <key>${action === "set" ? " <value>" : ""} [--channel #channel]\nKeys: ${Object.keys(CONFIG_SCHEMA).join(", ")}`);
+      return;
+    }
+    const schema = CONFIG_SCHEMA[key];
+    if (action === "get") {
+      const source = settingSource(key, guildId, channelId);
+      await ctx.reply(`\`${key}\` = ${formatSetting(getSetting(key, guildId, channelId), key)} (${source}) – ${schema.description}`);
+      return;
+    }
+    if (!ctx.can("config.manage")) {
+      await ctx.reply("You need the `config.manage` capability to do that.");
+      return;
+    }
+    if (channelId && !schema.scopes.includes("channel")) {
+      await ctx.reply(`\`${key}\` can only be set for the whole server.`);
+      return;
+    }
+    const scope = channelId ? `${key} in #${client.channels.cache.get(channelId)?.name || channelId}` : key;
+    if (action === "reset") {
+      audit(guildId, { action: "config.reset", actorId: ctx.user.id, before: getSetting(key, guildId, channelId), reason: scope });
+      setSetting(guildId, channelId, key, undefined);
+      await ctx.reply(`\`${key}\` reset for ${where}; now ${formatSetting(getSetting(key, guildId, channelId), key)}.`);
+      return;
+    }
+    if (value === undefined) {
+      await ctx.reply(`Usage: !config set ${key} <value> [--channel #channel]`);
       return;
     }
-    if (rest.length < 1) {
-      await message.reply("Usage: !amnesty @user");
+    const parsed = parseSettingValue(key, value, getSetting(key, guildId, channelId));
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
       return;
     }
-    const mention = rest[0];
-    const match = mention.match(/<@!?([0-9]+)>/);
-    if (!match) {
-      await message.reply("Please mention a user to grant amnesty.");
+    if (key === "provider") {
+      try {
+        getProvider(parsed.value);
+      } catch (e) {
+        await ctx.reply(`Cannot use ${parsed.value}: ${e.message}`);
+        return;
+      }
+    }
+    audit(guildId, { action: "config.set", actorId: ctx.user.id, before: getSetting(key, guildId, channelId), after: parsed.value, reason: scope });
+    setSetting(guildId, channelId, key, parsed.value);
+    await ctx.reply(`\`${key}\` set to ${formatSetting(parsed.value, key)} for ${where}.`);
+  },
+});
+
+defineCommand({
+  name: "quiet",
+  description: "Turn quiet mode (no unprompted chiming) on or off for this channel",
+  capability: "config.manage",
+  guildOnly: true,
+  options: [
+    { name: "mode", type: "string", description: "on or off (default: toggle)", choices: ["on", "off"] },
+  ],
+  run: async (ctx, { mode }) => {
+    const current = getSetting("quiet", ctx.guild.id, ctx.channel.id);
+    const quiet = mode ? mode === "on" : !current;
+    audit(ctx.guild.id, { action: "config.set", actorId: ctx.user.id, before: current, after: quiet, reason: `quiet in #${ctx.channel.name}` });
+    setSetting(ctx.guild.id, ctx.channel.id, "quiet", quiet);
+    await ctx.reply(quiet ? "Quiet mode on. I'll speak when spoken to." : "Quiet mode off. I may chime in again.");
+  },
+});
+
+defineCommand({
+  name: "why",
+  description: "Explain why the bot did or didn't respond to a message",
+  ephemeral: true,
+  options: [
+    { name: "message", type: "string", description: "Message ID or link (default: the latest scored message here)" },
+  ],
+  run: async (ctx, { message }) => {
+    const log = relevanceLog.get(ctx.channel.id) || [];
+    const id = (message || "").match(/(\d{5,})\/?$/)?.[1];
+    const own = ctx.source === "message" ? ctx.message.id : null;
+    const entry = id ? log.find((d) => d.messageId === id) : [...log].reverse().find((d) => d.messageId !== own);
+    if (entry) {
+      await ctx.reply({ content: `<@${entry.authorId}>: "${entry.content}"\n${explainDecision(entry)}`, allowedMentions: { parse: [] } });
       return;
     }
-    const userId = match[1];
-    if (!maggots.has(userId)) {
-      await message.reply(`That user is not currently marked as a maggot.`);
+    if (!id) {
+      await ctx.reply("No recent decisions recorded in this channel.");
       return;
     }
+    // Not in the log (too old, or from before a restart): score it as if it
+    // arrived now.
+    let target;
     try {
-      const guild = message.guild;
-      const member = guild ? await guild.members.fetch(userId) : null;
-      if (member) {
-        await member.setNickname(null);
+      target = await ctx.channel.messages.fetch(id);
+    } catch {
+      await ctx.reply("Could not find that message in this channel.");
+      return;
+    }
+    const decision = scoreRelevance(target);
+    await ctx.reply({ content: `No decision was recorded; scored as if sent now:\n${explainDecision(decision)}`, allowedMentions: { parse: [] } });
+  },
+});
+
+defineCommand({
+  name: "perm",
+  description: "Grant, revoke or list capabilities for roles and users",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "action", type: "string", description: "grant, revoke or list", required: true, choices: ["grant", "revoke", "list"] },
+    { name: "subject", type: "mentionable", description: "Role or user" },
+    { name: "capability", type: "string", description: "Capability name", choices: Object.keys(CAPABILITIES) },
+  ],
+  run: async (ctx, { action, subject, capability }) => {
+    const guild = ctx.guild;
+    if (action === "list") {
+      const rules = permissionRules[guild.id] || {};
+      const lines = [];
+      for (const [roleId, caps] of Object.entries(rules.roles || {})) {
+        lines.push(`• <@&${roleId}>: ${caps.map((c) => `\`${c}\``).join(", ")}`);
       }
-    } catch (e) {
-      console.warn(`Could not reset nickname for ${userId}:`, e.message);
+      for (const [userId, caps] of Object.entries(rules.users || {})) {
+        lines.push(`• <@${userId}>: ${caps.map((c) => `\`${c}\``).join(", ")}`);
+      }
+      const available = Object.entries(CAPABILITIES).map(([c, d]) => `\`${c}\` – ${d}`).join("\n");
+      const granted = lines.length ? lines.join("\n") : "No grants in this server.";
+      await ctx.reply({
+        content: `**Grants:**\n${granted}\n\n**Capabilities:**\n${available}`,
+        allowedMentions: { parse: [] },
+      });
+      return;
     }
-    unmarkMaggot({ id: userId });
-    await message.reply(`Amnesty granted to ${mention}. They are no longer a maggot.`);
-    return;
+    if (!ctx.can("perm.manage")) {
+      await ctx.reply("You need the `perm.manage` capability to do that.");
+      return;
+    }
+    if (!subject || !capability) {
+      await ctx.reply(`Usage: !perm ${action} <@role|@user> <capability>\nCapabilities: ${Object.keys(CAPABILITIES).join(", ")}`);
+      return;
+    }
+    const kind = subject.kind === "role" ? "roles" : "users";
+    const mention = subject.kind === "role" ? `<@&${subject.id}>` : `<@${subject.id}>`;
+    const changed = setCapability(guild.id, kind, subject.id, capability, action === "grant");
+    if (changed) {
+      audit(guild.id, {
+        action: `perm.${action}`,
+        actorId: ctx.user.id,
+        targetId: subject.kind === "user" ? subject.id : null,
+        after: capability,
+        reason: subject.kind === "role" ? `role ${subject.id}` : "",
+      });
+    }
+    const verb = action === "grant" ? "granted to" : "revoked from";
+    await ctx.reply({
+      content: changed ? `\`${capability}\` ${verb} ${mention}.` : `No change: ${mention} ${action === "grant" ? "already has" : "does not have"} \`${capability}\`.`,
+      allowedMentions: { parse: [] },
+    });
+  },
+});
+
+defineCommand({
+  name: "audit",
+  description: "Search the audit log of privileged and automated actions",
+  capability: "audit.view",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "user", type: "user", description: "Only entries where this member acted or was acted on" },
+    { name: "since", type: "duration", description: "How far back, e.g. 7d (default: all)", flag: true },
+    { name: "action", type: "string", description: "Action or action prefix, e.g. nick or sentence.issue", flag: true },
+  ],
+  run: async (ctx, { user, since, action }) => {
+    const entries = queryAudit(ctx.guild.id, {
+      userId: user || null,
+      since: since ? Date.now() - parseDuration(since) : 0,
+      action: action ? action.toLowerCase() : null,
+    });
+    if (!entries.length) {
+      await ctx.reply("No matching audit entries.");
+      return;
+    }
+    // Names rather than mentions: replyLong sends plain text.
+    const who = (id) => aliasMap.get(id) || ctx.guild.members.cache.get(id)?.displayName || id;
+    const show = (v) => (typeof v === "string" ? `"${v}"` : JSON.stringify(v));
+    const lines = entries.map((e) => {
+      const change = e.before !== null || e.after !== null ? ` ${show(e.before)} → ${show(e.after)}` : "";
+      const target = e.targetId ? ` → ${who(e.targetId)}` : "";
+      return `\`${e.at.slice(0, 16).replace("T", " ")}\` **${e.action}** ${e.auto ? "(auto)" : who(e.actorId)}${target}${change}${e.reason ? ` – ${e.reason}` : ""}`;
+    });
+    await replyLong(ctx, `**Audit log** (newest first, up to ${AUDIT_QUERY_LIMIT}):\n${lines.join("\n")}`, "audit.md");
+  },
+});
+
+defineCommand({
+  name: "stats",
+  description: "Show model usage, token budget and reply statistics",
+  guildOnly: true,
+  ephemeral: true,
+  run: async (ctx) => {
+    const guildId = ctx.guild.id;
+    const requests = metricTotals("model_requests_total", "outcome");
+    const calls = (requests.ok || 0) + (requests.error || 0);
+    const errors = Object.entries(metricTotals("model_errors_total", "kind")).sort((a, b) => b[1] - a[1]);
+    const avg = recentLatencies.length ? recentLatencies.reduce((n, ms) => n + ms, 0) / recentLatencies.length : null;
+    const seconds = (ms) => (ms === null ? "–" : `${(ms / 1000).toFixed(2)}s`);
+    const budget = getSetting("dailyTokenBudget", guildId);
+    const used = tokensToday(guildId);
+    const level = budgetLevel(guildId);
+    const week = usageHistory(guildId, 7);
+    const top = (totals, n = 5) => Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, n).map(([k, v]) => `${k} ${v}`).join(", ") || "none";
+    const lines = [
+      `**Uptime:** ${formatDuration(process.uptime() * 1000)}`,
+      `**Model calls:** ${calls} (${requests.error || 0} failed) – by purpose: ${top(metricTotals("model_requests_total", "purpose"))}`,
+      `**Latency:** avg ${seconds(avg)}, p95 ${seconds(latencyPercentile(0.95))} over the last ${recentLatencies.length} call(s)`,
+      `**Errors:** ${errors.length ? errors.map(([kind, n]) => `${kind} ${n}`).join(", ") : "none"}${lastModelError ? ` – last: ${lastModelError.kind} at ${lastModelError.at.slice(11, 16)} UTC` : ""}`,
+      "",
+      `**Tokens today:** ${used.toLocaleString("en-US")}${budget ? ` of ${budget.toLocaleString("en-US")} (${Math.round((used / budget) * 100)}%, ${level})` : " (no budget)"}`,
+      `**Last 7 days:** ${week.reduce((n, d) => n + d.tokens, 0).toLocaleString("en-US")} tokens in ${week.reduce((n, d) => n + d.calls, 0)} call(s)`,
+      "",
+      `**Replies by trigger:** ${top(metricTotals("replies_total", "trigger"))}`,
+      `**Commands:** ${top(metricTotals("commands_total", "command"))}`,
+    ];
+    if (level !== "full") lines.push("", level === "exhausted"
+      ? "⛔ The daily budget is spent; the bot won't call the model again until midnight UTC."
+      : `⚠️ Near the daily budget: replies carry ${level === "lean" ? "less" : "minimal"} context and background summaries are ${level === "lean" ? "still running" : "paused"}.`);
+    await ctx.reply(embedReply("Operational stats", lines.join("\n"), {
+      filename: "stats.md",
+      footer: "Call, reply and command counts are bot-wide since start-up; tokens are this server's.",
+    }));
+  },
+});
+
+defineCommand({
+  name: "moderation",
+  description: "Review blocked output or test text against the moderation rules",
+  capability: "config.manage",
+  guildOnly: true,
+  ephemeral: true,
+  options: [
+    { name: "action", type: "string", description: "log or test", required: true, choices: ["log", "test"] },
+    { name: "text", type: "string", description: "Text to test", rest: true },
+  ],
+  run: async (ctx, { action, text }) => {
+    const guildId = ctx.guild.id;
+    if (action === "test") {
+      if (!text) {
+        await ctx.reply("Usage: !moderation test <text>");
+        return;
+      }
+      const hits = moderationHits(guildId, text);
+      await ctx.reply({
+        content: hits.length ? `Blocked by ${hits.join(", ")}.\nRedacted: ${redactText(guildId, text)}` : "No rule matches that text.",
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+    const entries = readModerationLog(guildId);
+    if (!entries.length) {
+      await ctx.reply("Nothing has been blocked in this server.");
+      return;
+    }
+    const lines = entries.map((e) => `\`${e.at.slice(0, 16).replace("T", " ")}\` **${e.kind}** (${e.policy}) ${e.rules.join(", ")}: ${e.excerpt.replace(/\s+/g, " ").slice(0, 120)}`);
+    await replyLong(ctx, `**Blocked output** (newest first):\n${lines.join("\n")}`, "moderation.md");
+  },
+});
+
+/* ===== RELEVANCE ENGINE ===== */
+// Decides whether a message deserves a reply by adding up weighted signals
+// instead of plain substring checks. Names and keywords match on word
+// boundaries, so "disc" or "majority" no longer wake the bot. Direct address
+// (mentions, replies to the bot, name-calls) scores highest; questions only
+// count when the conversation flow suggests they are aimed at the bot. A
+// message is answered when its score reaches the responseThreshold setting
+// and the channel's cooldown has passed; direct address uses the shorter
+// directCooldownSeconds.
+const RELEVANCE_WEIGHTS = {
+  mention: 100,
+  replyToBot: 100,
+  name: 70,
+  vocative: 20,
+  keyword: 25,
+  keywordCap: 50,
+  followUp: 40,
+  continuing: 25,
+  question: 10,
+  chime: 50,
+  otherAddressee: -50,
+  directMessage: 100,
+};
+// How long after our last reply a message still counts as part of the same
+// exchange.
+const CONVERSATION_WINDOW_MS = 2 * 60 * 1000;
+// Recent decisions kept per channel for !why.
+const MAX_RELEVANCE_LOG = 50;
+const relevanceLog = new Map();
+// Who we last replied to in each channel: channelId -> userId.
+const lastRepliedUserByChannel = new Map();
+
+const termRegexCache = new Map();
+function termRegex(term, flags = "iu") {
+  const key = `${flags}:${term}`;
+  if (!termRegexCache.has(key)) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    termRegexCache.set(key, new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags));
+  }
+  return termRegexCache.get(key);
+}
+function matchTerms(text, terms) {
+  return terms.filter((t) => t && termRegex(t).test(text));
+}
+
+// Score a message. Returns { score, threshold, respond, direct, reasons }
+// where reasons lists { signal, points, detail } and, when respond is
+// false despite the score, cooldown explains why.
+function scoreRelevance(message) {
+  const guildId = message.guild?.id ?? null;
+  const channelId = message.channel.id;
+  const content = message.content || "";
+  const botId = client.user?.id;
+  const reasons = [];
+  const add = (signal, points, detail = "") => reasons.push({ signal, points, detail });
+
+  // Everything said in a DM is said to us.
+  if (!message.guild) add("direct message", RELEVANCE_WEIGHTS.directMessage);
+  if (botId && message.mentions?.users?.has(botId)) add("mention", RELEVANCE_WEIGHTS.mention);
+  const repliedTo = message.mentions?.repliedUser?.id;
+  if (repliedTo && repliedTo === botId) add("reply to bot", RELEVANCE_WEIGHTS.replyToBot);
+  // Cast members post through a webhook, so a reply to one shows up as a
+  // reply to the webhook's user.
+  const castReply = repliedCharacter(message);
+  if (castReply) add("reply to character", RELEVANCE_WEIGHTS.replyToBot, castReply.name);
+
+  // Our names: the configured list plus our display name in this guild.
+  const names = [...getSetting("names", guildId, channelId)];
+  const displayName = message.guild?.members?.me?.displayName;
+  if (displayName) names.push(displayName.toLowerCase());
+  const nameHits = matchTerms(content, names);
+  if (nameHits.length) {
+    add("name", RELEVANCE_WEIGHTS.name, nameHits[0]);
+    if (nameHits.some((n) => new RegExp(`^\\W*${termRegex(n).source}`, "iu").test(content))) {
+      add("vocative", RELEVANCE_WEIGHTS.vocative, "opens with our name");
+    }
+  }
+  const castHits = matchTerms(content, castFor(guildId, channelId).flatMap((c) => c.triggers));
+  if (!nameHits.length && castHits.length) add("character name", RELEVANCE_WEIGHTS.name, castHits[0]);
+
+  const keywordHits = matchTerms(content, getSetting("keywords", guildId, channelId));
+  if (keywordHits.length) {
+    add("keywords", Math.min(RELEVANCE_WEIGHTS.keywordCap, keywordHits.length * RELEVANCE_WEIGHTS.keyword), keywordHits.join(", "));
+  }
+
+  // Conversation flow: were we the last to speak, and to whom?
+  const now = Date.now();
+  const lastAt = lastResponseByChannel.get(channelId) || 0;
+  const recent = now - lastAt < CONVERSATION_WINDOW_MS;
+  const memory = getMemory(channelId);
+  const lastTurn = memory[memory.length - 1];
+  const botSpokeLast = Boolean(lastTurn && (lastTurn.speaker === MAJ_NAME || lastTurn.character));
+  const sameUser = lastRepliedUserByChannel.get(channelId) === message.author.id;
+  if (content.includes("?")) {
+    if (recent && botSpokeLast) add("follow-up question", RELEVANCE_WEIGHTS.followUp, "we spoke last");
+    else add("question", RELEVANCE_WEIGHTS.question);
+  }
+  if (recent && botSpokeLast && sameUser) add("continuing", RELEVANCE_WEIGHTS.continuing, "same person we just answered");
+
+  // Addressed to someone else: a reply to or mention of another user, or a
+  // message that opens with another player's callsign.
+  const ours = (id) => id === botId || (castReply && id === repliedTo);
+  const otherMentions = [...(message.mentions?.users?.keys?.() || [])].filter((id) => !ours(id) && id !== message.author.id);
+  const aliasOpener = [...aliasMap.entries()].find(([id, callsign]) => id !== message.author.id && new RegExp(`^\\W*${termRegex(callsign.toLowerCase()).source}`, "iu").test(content));
+  const repliedElsewhere = repliedTo && !ours(repliedTo);
+  if (repliedElsewhere || otherMentions.length || aliasOpener) {
+    const who = aliasOpener ? aliasOpener[1] : repliedElsewhere ? "reply to another user" : "mentions another user";
+    add("addressed elsewhere", RELEVANCE_WEIGHTS.otherAddressee, who);
+  }
+
+  const direct = reasons.some((r) => ["direct message", "mention", "reply to bot", "name", "reply to character", "character name"].includes(r.signal));
+  // Random chime on general chatter, unless the channel is quiet.
+  if (!direct && !getSetting("quiet", guildId, channelId) && content.length >= 15) {
+    if (Math.random() < getSetting("chimeChance", guildId, channelId)) add("random chime", RELEVANCE_WEIGHTS.chime);
   }
-  // Unknown command
-  await message.reply(`Unknown command: ${cmd}`);
+
+  const score = reasons.reduce((n, r) => n + r.points, 0);
+  const threshold = getSetting("responseThreshold", guildId, channelId);
+  let respond = score >= threshold;
+  let cooldown = null;
+  if (respond) {
+    const seconds = getSetting(direct ? "directCooldownSeconds" : "cooldownSeconds", guildId, channelId);
+    const wait = lastAt + seconds * 1000 - now;
+    if (wait > 0) {
+      respond = false;
+      cooldown = `cooldown: ${Math.ceil(wait / 1000)}s of ${seconds}s left`;
+    }
+  }
+  return { score, threshold, respond, direct, reasons, cooldown };
 }
 
-/* ===== RESPONSE LOGIC ===== */
+// Score a message, remember the decision for !why, and return whether to
+// respond.
 function shouldRespond(message) {
-  const content = message.content.toLowerCase();
   // Always ignore other bots.
   if (message.author.bot) return false;
-  // Respond if our name or alias appears, or the message contains obvious lore keywords.
-  const keywords = ["pickletooth", "pickle", "maj", "major", "sir", "task force reaper", "shadow company", "cube cult", "civil war", "tfr", "sc", "cube"];
-  if (keywords.some((k) => content.includes(k))) return true;
-  // Respond to questions directed to the chat in general (contain a question mark).
-  if (content.includes("?")) return true;
-  // Occasionally chime in even when not addressed. 15% chance to respond to
-  // general chatter if it's not too short. We also avoid spamming by
-  // enforcing a per-channel cooldown.
-  const chance = Number(process.env.RANDOM_CHIME_CHANCE || 0.15);
-  const minLen = 15;
-  if (content.length >= minLen && Math.random() < chance) {
-    // Additional throttle: don't chime if we've replied very recently.
-    const last = lastResponseByChannel.get(message.channel.id) || 0;
-    if (Date.now() - last > 10000) return true;
-  }
-  return false;
+  const decision = scoreRelevance(message);
+  const log = relevanceLog.get(message.channel.id) || [];
+  log.push({ messageId: message.id, authorId: message.author.id, content: message.content.slice(0, 80), at: Date.now(), ...decision });
+  if (log.length > MAX_RELEVANCE_LOG) log.shift();
+  relevanceLog.set(message.channel.id, log);
+  return decision.respond;
+}
+
+// Render a decision for !why.
+function explainDecision(d) {
+  const lines = d.reasons.length
+    ? d.reasons.map((r) => `• ${r.signal}: ${r.points > 0 ? "+" : ""}${r.points}${r.detail ? ` (${r.detail})` : ""}`)
+    : ["• no signals"];
+  const verdict = d.respond ? "responded" : d.cooldown ? `stayed silent (${d.cooldown})` : "stayed silent (below threshold)";
+  return `Score **${d.score}** / threshold ${d.threshold} → ${verdict}\n${lines.join("\n")}`;
+}
+
+/* ===== REPLY QUEUE ===== */
+// Messages the bot decides to answer are queued per channel. Several
+// messages arriving within REPLY_COALESCE_MS of each other (or while the
+// previous reply is still being written) are answered together with one
+// reply to the latest of them. The typing indicator runs while anything is
+// queued or in flight.
+const REPLY_COALESCE_MS = Number(process.env.REPLY_COALESCE_MS || (SIMULATE ? 0 : 1500));
+// Discord shows "typing" for about ten seconds per call.
+const TYPING_REFRESH_MS = 8000;
+// channelId -> { items: [{ message, callsign, text, entry, images }], timer, typing, busy }
+const replyQueues = new Map();
+
+function startTyping(q, channel) {
+  if (q.typing) return;
+  const ping = () => channel.sendTyping?.().catch(() => {});
+  ping();
+  q.typing = setInterval(ping, TYPING_REFRESH_MS);
+}
+function stopTyping(q) {
+  clearInterval(q.typing);
+  q.typing = null;
+}
+
+// Queue a message for a reply. entry is its memory turn and images the
+// result of collectImageParts.
+function enqueueReply(message, item) {
+  const chanId = message.channel.id;
+  let q = replyQueues.get(chanId);
+  if (!q) replyQueues.set(chanId, (q = { items: [], timer: null, typing: null, busy: 0 }));
+  q.items.push({ message, ...item });
+  startTyping(q, message.channel);
+  clearTimeout(q.timer);
+  q.timer = setTimeout(() => {
+    q.timer = null;
+    q.busy++;
+    channelLimiter(chanId)
+      .run(async () => {
+        // Take whatever has queued up by the time our turn comes.
+        const items = q.items.splice(0);
+        if (items.length) await answerBatch(chanId, items);
+      })
+      .catch((e) => console.error("reply failed:", e))
+      .finally(() => {
+        q.busy--;
+        if (!q.busy && !q.items.length) stopTyping(q);
+      });
+  }, REPLY_COALESCE_MS);
+}
+
+// Write one reply covering every queued message, then record it.
+async function answerBatch(chanId, items) {
+  const last = items[items.length - 1].message;
+  const prompt = items
+    .map(({ callsign, text, images }) => {
+      const note = images.parts.length ? `\n[${callsign} attached ${images.parts.length} image(s): ${images.names.join(", ")}]` : "";
+      return `From ${callsign}: ${text}${note}`;
+    })
+    .join("\n");
+  const images = items.flatMap((i) => i.images.parts).slice(0, IMAGE_MAX_COUNT);
+  // The director decides who answers; characters with their own memory
+  // need to know which turns were addressed to them.
+  const character = directScene(last, chanId, items);
+  if (character) items.forEach((item) => (item.entry.to = character.slug));
+  const [reply, ...imageNotes] = await Promise.all([
+    respondWithIntel(last, prompt, chanId, { images, character }),
+    ...items.map((i) => (i.images.parts.length ? describeImagesForMemory(last.guild?.id, i.images.parts, i.images.names) : null)),
+  ]);
+  items.forEach((item, n) => {
+    // Keep a short note of what was shown so later turns can refer to it.
+    if (imageNotes[n]) item.entry.text = `${item.entry.text} [image: ${imageNotes[n]}]`.trim();
+  });
+  saveMemory();
+  if (!reply) return;
+  lastResponseByChannel.set(chanId, Date.now());
+  lastRepliedUserByChannel.set(chanId, last.author.id);
+  const sent = character
+    ? await castSend(last.channel, character, reply)
+    : await deliver((p) => last.reply(p), reply, { follow: (p) => last.channel.send(p) });
+  if (character) rememberCastMessage(sent.id, character.slug);
+  // Record our reply in memory only once it is posted, so the model never
+  // remembers a reply nobody saw and edit/delete sync can find it.
+  appendToMemory(chanId, character ? character.name : MAJ_NAME, reply, { character: character?.slug, messageId: sent.id });
 }
 
 /* ===== MESSAGE HANDLER ===== */
 client.on(Events.ClientReady, (c) => {
-  console.log(`Logged in as ${c.user.tag}. Using ${GEMINI_MODEL}`);
+  const { name, model } = providerSettingsFor(null);
+  console.log(`Logged in as ${c.user.tag}. Using ${name}${model ? ` (${model})` : ""}`);
+  // Release anyone whose sentence ran out while we were offline, then keep
+  // checking periodically.
+  sweepExpiredSentences().catch((e) => console.warn("sentence sweep failed:", e.message));
+  setInterval(() => {
+    sweepExpiredSentences().catch((e) => console.warn("sentence sweep failed:", e.message));
+  }, SENTENCE_SWEEP_INTERVAL_MS);
+  // Post any SITREPs that came due while we were offline, then check every
+  // minute.
+  checkSitreps().catch((e) => console.warn("sitrep check failed:", e.message));
+  setInterval(() => {
+    checkSitreps().catch((e) => console.warn("sitrep check failed:", e.message));
+  }, SITREP_CHECK_INTERVAL_MS);
+  registerSlashCommands(c.application).catch((e) => console.warn("slash command registration failed:", e.message));
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    await handleInteraction(interaction);
+  } catch (e) {
+    console.error("interaction error:", e);
+  }
 });
 
-client.on(Events.MessageCreate, async (message) => {
+// Exposed as a function so the simulator can drive it and wait for it.
+async function onMessageCreate(message) {
   if (message.author.bot) return;
   const raw = message.content.trim();
   // Commands take precedence over everything else
@@ -594,38 +6111,46 @@ client.on(Events.MessageCreate, async (message) => {
     await handleCommand(message, body);
     return;
   }
+  // Insults, lore talk and off-topic chatter move the channel's mood.
+  observeMood(message);
   // Detect offensive triggers and mark user as a maggot if necessary (guild only)
   try {
     if (message.guild && message.member) {
       const lower = raw.toLowerCase();
-      const explicit = MAGGOT_TRIGGERS.some((t) => lower.includes(t));
-      const already = maggots.has(message.author.id);
+      const trigger = getSetting("maggotTriggers", message.guild.id, message.channel.id).find((t) => lower.includes(t));
+      const explicit = Boolean(trigger);
+      const already = Boolean(getSentence(message.guild.id, message.author.id));
       // Determine whether to assign a derogatory nickname. Triggered if the
       // message contains explicit insults or randomly based on probability.
       let shouldDegrade = false;
       if (!already && explicit) shouldDegrade = true;
-      if (!already && !explicit && Math.random() < RANDOM_DEGRADE_CHANCE) {
+      if (!already && !explicit && Math.random() < getSetting("degradeChance", message.guild.id, message.channel.id)) {
         // Lighthearted random assignment only if the user has posted a fairly
         // substantive message (>10 chars) and no commands.
         if (raw.length > 10 && !raw.startsWith("!")) shouldDegrade = true;
       }
       if (shouldDegrade) {
         // Pick a random derogatory name
-        const nick = DEGRADE_NAMES[Math.floor(Math.random() * DEGRADE_NAMES.length)] || "maggot";
-        await markMaggot(message.member, nick);
-        await message.reply(`Watch your tone, ${nick}. Nickname updated.`);
-        return;
+        const nick = randomDegradeName(message.guild.id);
+        const reason = explicit ? `trigger: "${trigger}"` : "random roll";
+        const record = await markMaggot(message.member, nick, { reason, issuedBy: client.user?.id ?? null });
+        if (record) {
+          await deliver((p) => message.reply(p), `Watch your tone, ${nick}. Nickname updated.`);
+          return;
+        }
       }
     }
   } catch (e) {
     console.warn("error in nickname assignment:", e);
   }
   // Ensure flagged maggots keep their nickname if they change it manually
-  if (message.guild && message.member && maggots.has(message.author.id)) {
+  const sentence = message.guild && message.member ? getSentence(message.guild.id, message.author.id) : null;
+  if (sentence) {
     const currentNick = message.member.nickname;
-    if (currentNick && currentNick.toLowerCase() !== "maggot") {
+    if ((currentNick || "").toLowerCase() !== sentence.label.toLowerCase()) {
       try {
-        await message.member.setNickname("maggot");
+        await message.member.setNickname(sentence.label);
+        audit(message.guild.id, { action: "nick.enforce", targetId: message.author.id, before: currentNick, after: sentence.label, reason: "sentence in force" });
       } catch (e) {
         console.warn(`Could not reapply maggot nickname for ${message.author.id}:`, e.message);
       }
@@ -633,35 +6158,60 @@ client.on(Events.MessageCreate, async (message) => {
   }
   // If we don't need to respond, bail early
   if (!shouldRespond(message)) return;
+  const rate = takeUserRequest(message.author.id);
+  if (!rate.ok) {
+    if (rate.notify) await deliver((p) => message.reply(p), `Easy, soldier. One question at a time – try again in ${Math.ceil(rate.retryInMs / 1000)}s.`);
+    return;
+  }
   const chanId = message.channel.id;
+  const decision = (relevanceLog.get(chanId) || []).find((d) => d.messageId === message.id);
+  countMetric("replies_total", { trigger: replyTrigger(decision) });
   // Determine speaker name (alias if exists)
   const userId = message.author.id;
   const callsign = aliasMap.get(userId) || message.member?.displayName || message.author.username;
   // Record the user's message into memory
-  appendToMemory(chanId, callsign, raw);
-  // Compose prompt for intel analysis
-  const prompt = `From ${callsign}: ${raw}`;
-  const reply = await respondWithIntel(message, prompt, chanId);
-  if (reply) {
-    // Record our reply in memory
-    appendToMemory(chanId, "Maj. Pickletooth", reply);
-    lastResponseByChannel.set(chanId, Date.now());
-    await message.reply(reply);
-  }
+  const entry = appendToMemory(chanId, callsign, raw, { userId, messageId: message.id });
+  // Images attached to the message are analysed along with the text.
+  const images = await collectImageParts(message.attachments.values());
+  enqueueReply(message, { callsign, text: raw, entry, images });
+}
+client.on(Events.MessageCreate, onMessageCreate);
+
+// Join new threads so their messages reach us like the parent channel's.
+client.on(Events.ThreadCreate, (thread) => {
+  if (thread.joinable && !thread.joined) thread.join().catch((e) => console.warn(`could not join thread ${thread.id}:`, e.message));
+});
+
+// Keep memory in step with Discord: deleted messages are forgotten and
+// edited ones rewritten, so the model never sees text a player took back.
+client.on(Events.MessageDelete, (message) => {
+  forgetMessage(message.channelId, message.id);
+});
+client.on(Events.MessageBulkDelete, (messages, channel) => {
+  for (const id of messages.keys()) forgetMessage(channel.id, id);
+});
+client.on(Events.MessageUpdate, async (oldMessage, newMessage) => {
+  if (newMessage.partial) newMessage = await newMessage.fetch().catch(() => null);
+  if (!newMessage || newMessage.author?.bot) return;
+  const text = newMessage.content?.trim();
+  if (text === undefined || text === oldMessage.content?.trim()) return;
+  if (text) rewriteMessage(newMessage.channelId, newMessage.id, text);
+  else forgetMessage(newMessage.channelId, newMessage.id);
 });
 
 // Enforce the maggot nickname on nickname changes. If a member who is
-// flagged as a maggot updates their nickname to something other than
-// "maggot", revert it back. This keeps the moniker persistent until
-// amnesty is granted via command.
+// flagged as a maggot updates or clears their nickname, revert it back to the
+// sentenced label. This keeps the moniker persistent until amnesty is
+// granted via command or the sentence expires.
 client.on(Events.GuildMemberUpdate, async (oldMember, newMember) => {
   try {
-    if (maggots.has(newMember.id)) {
-      const entry = maggots.get(newMember.id);
-      const desired = entry && entry.name ? entry.name.toLowerCase() : "maggot";
+    const entry = getSentence(newMember.guild.id, newMember.id);
+    if (entry) {
+      const desired = entry.label.toLowerCase();
       const current = newMember.nickname ? newMember.nickname.toLowerCase() : null;
-      if (current && current !== desired) {
-        await newMember.setNickname(entry.name || "maggot");
+      if (current !== desired) {
+        await newMember.setNickname(entry.label);
+        audit(newMember.guild.id, { action: "nick.enforce", targetId: newMember.id, before: newMember.nickname, after: entry.label, reason: "sentence in force" });
       }
     }
   } catch (e) {
@@ -669,4 +6219,414 @@ client.on(Events.GuildMemberUpdate, async (oldMember, newMember) => {
   }
 });
 
-client.login(DISCORD_TOKEN);
\ No newline at end of file
+/* ===== SIMULATION ===== */
+// `node index.js --simulate` drives the bot from a terminal instead of
+// Discord. Fake users, channels and messages are fed through
+// onMessageCreate, so commands, maggot triggers, the relevance engine,
+// memory and respondWithIntel all run exactly as they do live; only the
+// Discord objects are stand-ins. The model comes from LLM_PROVIDER (mock by
+// default, or point it at Ollama or any other provider).
+//
+// Input lines, typed at the prompt or read from a transcript:
+//   alice: hello major          alice speaks in the current channel
+//   [#ops] bob: anyone there?   bob speaks in #ops (channels appear on use)
+//   alice: ^ thanks             a reply to the bot's last message there
+//   [#dm] alice: psst           alice DMs the bot
+//   hello again                 the last speaker again (REPL: "player")
+//   @wait 30s                   advance the clock (cooldowns, sentences)
+//   # comment
+// "@name" in a message becomes a mention of that user, "@bot" of the bot.
+// Threads the bot opens appear as channels named after the thread, e.g.
+// [#dispute-report-2]. The user named "creator" has CREATOR_ID. In the REPL, /help lists the
+// extra slash commands.
+//
+// Options:
+//   --replay <file>    run a transcript and print the bot's decisions
+//   --baseline <file>  diff the decisions against an earlier --out file
+//                      and exit with status 1 if they differ
+//   --out <file>       write the decisions to a file
+//   --seed <n>         seed for random rolls (default 1), so runs repeat
+//   --step <duration>  clock advance before each message (default 5s)
+//   --start <time>     simulated start time, e.g. 2026-01-05T21:30:00Z
+//                      (default SIM_START), so time-of-day behaviour repeats
+const SIM_START = "2026-01-05T12:00:00Z";
+const SIM_GUILD_ID = "500000000000000001";
+const SIM_BOT_ID = "900000000000000001";
+const SIM_WAIT_LIMIT_MS = 5 * 60 * 1000;
+const SIM_LINE_STEP_MS = parseDuration(simOption("step") || "5s") || 0;
+
+function simOption(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// Deterministic Math.random (mulberry32), so chimes, persona states and
+// random nicknames come out the same on every run with the same seed.
+function seedRandom(seed) {
+  let a = seed >>> 0;
+  Math.random = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A clock that starts at --start (default SIM_START) and that @wait and the
+// per-line step move forward. Date itself is replaced, so new Date() follows
+// it as well as Date.now(). Replays run on simulated time alone and print
+// the same output on every run; in the REPL the clock also moves with real
+// time.
+let simClockOffset = 0;
+function installSimClock(startMs, { realTime = false } = {}) {
+  const RealDate = Date;
+  const realStart = RealDate.now();
+  const now = () => startMs + simClockOffset + (realTime ? RealDate.now() - realStart : 0);
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [now()]));
+    }
+    static now() {
+      return now();
+    }
+  };
+}
+
+function createSimWorld() {
+  let nextId = 0n;
+  const newId = (prefix) => `${prefix}${String(++nextId).padStart(17, "0")}`;
+  const users = new Map();
+  const channels = new Map();
+  // Everything the bot posts while handling one input line.
+  let outbox = [];
+  const lastBotMessage = new Map();
+
+  const guild = {
+    id: SIM_GUILD_ID,
+    name: "Simulation",
+    roles: { everyone: { id: SIM_GUILD_ID } },
+    members: {
+      cache: new Map(),
+      me: { displayName: "Maj. Pickletooth" },
+      fetch: async (id) => {
+        const member = guild.members.cache.get(id);
+        if (!member) throw new Error("Unknown Member");
+        return member;
+      },
+    },
+    channels: {
+      create: async ({ name }) => channel(name),
+    },
+  };
+  client.guilds.cache.set(guild.id, guild);
+  client.user = { id: SIM_BOT_ID, tag: "Maj. Pickletooth#0000", username: "Maj. Pickletooth", bot: true };
+
+  function user(name) {
+    const key = name.toLowerCase();
+    if (users.has(key)) return users.get(key);
+    const id = key === "creator" ? CREATOR_ID : newId("2");
+    const u = { id, username: name, bot: false };
+    const member = {
+      id,
+      user: u,
+      guild,
+      nickname: null,
+      roles: { cache: new Map() },
+      get displayName() {
+        return this.nickname || name;
+      },
+      async setNickname(nick) {
+        outbox.push(`nick ${name}: ${member.nickname ?? "(none)"} -> ${nick ?? "(none)"}`);
+        member.nickname = nick;
+        return member;
+      },
+    };
+    guild.members.cache.set(id, member);
+    users.set(key, u);
+    return u;
+  }
+
+  function botMessage(chan, payload, replyTo = null) {
+    const msg = {
+      id: newId("4"),
+      channel: chan,
+      channelId: chan.id,
+      author: client.user,
+      content: typeof payload === "string" ? payload : payload.content || "",
+      startThread: async ({ name }) => startThread(chan, name),
+    };
+    outbox.push(`${replyTo ? `reply to ${replyTo}` : "send"} in #${chan.name}: ${renderPayload(payload)}`);
+    lastBotMessage.set(chan.id, msg);
+    chan.messages.cache.set(msg.id, msg);
+    return msg;
+  }
+
+  // Threads are channels with a parent; DM channels have no guild.
+  function channel(name, { parent = null, dm = false } = {}) {
+    const key = name.replace(/^#/, "").toLowerCase().replace(/[^\w-]+/g, "-");
+    if (channels.has(key)) return channels.get(key);
+    const chan = {
+      id: newId("3"),
+      name: key,
+      guild: dm ? null : guild,
+      guildId: dm ? null : guild.id,
+      parent,
+      parentId: parent?.id ?? null,
+      isThread: () => Boolean(parent),
+      messages: {
+        cache: new Map(),
+        fetch: async (id) => {
+          const msg = chan.messages.cache.get(id);
+          if (!msg) throw new Error("Unknown Message");
+          return msg;
+        },
+      },
+      send: async (payload) => botMessage(chan, payload),
+      sendTyping: async () => {},
+    };
+    // Like Discord, webhooks live on the parent channel; a threadId routes
+    // the post into one of its threads.
+    if (!parent) {
+      chan.fetchWebhooks = async () => new Map();
+      chan.createWebhook = async ({ name }) => ({
+        id: newId("6"),
+        name,
+        owner: client.user,
+        send: async (payload) => botMessage(payload.threadId ? client.channels.cache.get(payload.threadId) : chan, payload),
+      });
+    }
+    channels.set(key, chan);
+    client.channels.cache.set(chan.id, chan);
+    return chan;
+  }
+
+  function startThread(parent, name) {
+    const thread = channel(name, { parent });
+    outbox.push(`thread #${thread.name} opened in #${parent.name}`);
+    return thread;
+  }
+
+  // "[#dm]" in a transcript is the speaker's DM channel.
+  function dm(speaker) {
+    return channel(`dm-${speaker}`, { dm: true });
+  }
+
+  // Build a message from a speaker, channel and text, resolving @mentions
+  // and a leading "^" (reply to the bot).
+  function message(speaker, chan, text) {
+    const author = user(speaker);
+    const mentioned = new Map();
+    let repliedUser = null;
+    let reference = null;
+    if (/^\^\s*/.test(text)) {
+      text = text.replace(/^\^\s*/, "");
+      repliedUser = client.user;
+      reference = lastBotMessage.get(chan.id)?.id || null;
+    }
+    const content = text.replace(/@([\w.-]+)/g, (whole, name) => {
+      if (name.toLowerCase() === "bot") {
+        mentioned.set(client.user.id, client.user);
+        return `<@${client.user.id}>`;
+      }
+      if (!users.has(name.toLowerCase())) return whole;
+      const u = users.get(name.toLowerCase());
+      mentioned.set(u.id, u);
+      return `<@${u.id}>`;
+    });
+    if (repliedUser) mentioned.set(repliedUser.id, repliedUser);
+    const msg = {
+      id: newId("4"),
+      content,
+      author,
+      member: chan.guild ? guild.members.cache.get(author.id) : null,
+      guild: chan.guild,
+      channel: chan,
+      channelId: chan.id,
+      reference: reference ? { messageId: reference } : null,
+      attachments: new Map(),
+      mentions: { users: mentioned, repliedUser },
+      reply: async (payload) => botMessage(chan, payload, speaker),
+      startThread: async ({ name }) => startThread(chan, name),
+    };
+    chan.messages.cache.set(msg.id, msg);
+    return msg;
+  }
+
+  return {
+    user,
+    channel,
+    dm,
+    message,
+    takeOutbox() {
+      const out = outbox;
+      outbox = [];
+      return out;
+    },
+  };
+}
+
+function renderPayload(payload) {
+  if (typeof payload === "string") return payload;
+  const parts = payload.username ? [`(as ${payload.username})`] : [];
+  if (payload.content) parts.push(payload.content);
+  for (const e of payload.embeds || []) {
+    parts.push(`[embed: ${e.title || ""}] ${e.description || ""}`.trim());
+    for (const f of e.fields || []) parts.push(`  ${f.name}: ${f.value}`);
+  }
+  for (const f of payload.files || []) parts.push(`[file: ${f.name}]`);
+  return parts.join("\n");
+}
+
+// Wait until queued replies and background summaries have finished.
+async function waitForSimIdle() {
+  const deadline = Date.now() + SIM_WAIT_LIMIT_MS;
+  const busy = () => [...replyQueues.values()].some((q) => q.timer || q.busy || q.items.length) || summarizing.size > 0;
+  await sleep(0);
+  while (busy() && Date.now() < deadline) await sleep(10);
+}
+
+// Parse one input line into an action. Returns null for blank lines and
+// comments.
+function parseSimLine(line, state) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith("#")) return null;
+  const wait = trimmed.match(/^@wait\s+(\S+)$/i);
+  if (wait) {
+    const ms = parseDuration(wait[1]);
+    if (!ms) throw new Error(`bad duration: ${wait[1]}`);
+    return { wait: ms, label: wait[1] };
+  }
+  const m = trimmed.match(/^(?:\[#?([\w-]+)\]\s*)?(?:([\w.-]+):\s)?(.*)$/);
+  if (m[1]) state.channel = m[1].toLowerCase();
+  if (m[2]) state.speaker = m[2];
+  return { channel: state.channel, speaker: state.speaker, text: m[3] };
+}
+
+// Run one input line and describe what the bot did with it.
+async function runSimLine(world, action, n) {
+  if (action.wait) {
+    simClockOffset += action.wait;
+    // Run the periodic jobs the live bot would have run in the meantime.
+    await sweepExpiredSentences();
+    await checkSitreps();
+    await waitForSimIdle();
+    return [`${n}: @wait ${action.label}`, ...world.takeOutbox().map((out) => `  > ${out.replace(/\n/g, "\n    ")}`)];
+  }
+  // Messages are spaced out like a real conversation, so back-to-back lines
+  // don't all land inside the reply cooldown.
+  simClockOffset += SIM_LINE_STEP_MS;
+  const chan = action.channel === "dm" ? world.dm(action.speaker) : world.channel(action.channel);
+  const message = world.message(action.speaker, chan, action.text);
+  await onMessageCreate(message);
+  await waitForSimIdle();
+  const lines = [`${n}: [#${chan.name}] ${action.speaker}: ${action.text}`];
+  const decision = (relevanceLog.get(chan.id) || []).find((d) => d.messageId === message.id);
+  if (decision) {
+    const signals = decision.reasons.map((r) => `${r.signal} ${r.points > 0 ? "+" : ""}${r.points}`).join(", ") || "no signals";
+    const verdict = decision.respond ? "respond" : decision.cooldown ? "silent (cooldown)" : "silent";
+    lines.push(`  ${verdict}: score ${decision.score}/${decision.threshold} (${signals})`);
+  } else if (action.text.startsWith("!")) {
+    lines.push("  command");
+  }
+  for (const out of world.takeOutbox()) lines.push(`  > ${out.replace(/\n/g, "\n    ")}`);
+  return lines;
+}
+
+async function replayTranscript(world, file) {
+  const state = { channel: "general", speaker: "player" };
+  const report = [];
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    let action;
+    try {
+      action = parseSimLine(lines[i], state);
+    } catch (e) {
+      report.push(`${i + 1}: error: ${e.message}`);
+      continue;
+    }
+    if (action) report.push(...(await runSimLine(world, action, i + 1)));
+  }
+  return report.join("\n") + "\n";
+}
+
+async function simRepl(world) {
+  const state = { channel: "general", speaker: "player" };
+  const transcript = [];
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "" });
+  const prompt = () => {
+    rl.setPrompt(`[#${state.channel}] ${state.speaker}> `);
+    rl.prompt();
+  };
+  console.log("Simulation ready. Type messages, or /help.");
+  prompt();
+  let n = 0;
+  for await (const line of rl) {
+    const cmd = line.trim().match(/^\/(\w+)\s*(.*)$/);
+    if (cmd) {
+      const [, name, arg] = cmd;
+      if (name === "quit" || name === "exit") break;
+      if (name === "as" && arg) state.speaker = arg;
+      else if (name === "in" && arg) state.channel = arg.replace(/^#/, "").toLowerCase();
+      else if (name === "save" && arg) {
+        fs.writeFileSync(arg, transcript.join("\n") + "\n");
+        console.log(`Transcript saved to ${arg}.`);
+      } else {
+        console.log("/as <name>  speak as someone else\n/in <#channel>  switch channel\n/save <file>  save this session as a transcript\n/quit");
+      }
+      prompt();
+      continue;
+    }
+    try {
+      const action = parseSimLine(line, state);
+      if (action) {
+        // Save lines in full form so the transcript replays the same way.
+        transcript.push(action.wait ? line.trim() : `[#${action.channel}] ${action.speaker}: ${action.text}`);
+        const out = await runSimLine(world, action, ++n);
+        console.log(out.slice(1).join("\n"));
+      }
+    } catch (e) {
+      console.log(`error: ${e.message}`);
+    }
+    prompt();
+  }
+  rl.close();
+}
+
+async function runSimulation() {
+  seedRandom(Number(simOption("seed") || 1));
+  const start = Date.parse(simOption("start") || SIM_START);
+  if (Number.isNaN(start)) {
+    console.error(`Invalid --start time: ${simOption("start")}`);
+    process.exit(2);
+  }
+  const replay = simOption("replay");
+  installSimClock(start, { realTime: !replay });
+  if (!process.env.SIM_DATA_DIR) process.on("exit", () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+  const world = createSimWorld();
+  const { name, model } = providerSettingsFor(null);
+  console.error(`Simulating with ${name}${model ? ` (${model})` : ""}; data in ${DATA_DIR}`);
+  if (!replay) {
+    await simRepl(world);
+    process.exit(0);
+  }
+  const report = await replayTranscript(world, replay);
+  const out = simOption("out");
+  if (out) fs.writeFileSync(out, report);
+  const baseline = simOption("baseline");
+  if (!baseline) {
+    if (!out) process.stdout.write(report);
+    process.exit(0);
+  }
+  const diff = unifiedDiff(fs.readFileSync(baseline, "utf8"), report, baseline, "current");
+  if (!diff) {
+    console.log("Decisions match the baseline.");
+    process.exit(0);
+  }
+  process.stdout.write(diff);
+  process.exit(1);
+}
+
+startMetricsServer();
+if (SIMULATE) runSimulation();
+else client.login(DISCORD_TOKEN);